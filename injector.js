@@ -0,0 +1,1046 @@
+const CDP = require('chrome-remote-interface');
+const EventEmitter = require('events');
+const util = require('util');
+const { domInspectionTools, parseStreamingJSON } = require('./tools');
+
+// Backoff bounds for reconnecting, in milliseconds
+const RECONNECT_INITIAL_DELAY = 500;
+const RECONNECT_MAX_DELAY = 10000;
+
+// Target types that expose a Runtime we can evaluate code in
+const DEBUGGABLE_TARGET_TYPES = [
+  'page',
+  'webview',
+  'iframe',
+  'background_page',
+  'service_worker',
+  'shared_worker',
+  'worker'
+];
+
+// Processes code can be evaluated in
+const EXECUTION_CONTEXTS = ['renderer', 'main'];
+
+// Target types that have a Page domain (and thus documents that reload)
+const PAGE_TARGET_TYPES = ['page', 'webview', 'iframe', 'background_page'];
+
+// Find a target by id, index in the target list, title regex or URL regex
+function matchTarget(targets, selector) {
+  const byId = targets.find(target => target.id === selector);
+  if (byId) {
+    return byId;
+  }
+
+  if (/^\d+$/.test(selector) && targets[Number(selector)]) {
+    return targets[Number(selector)];
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(selector, 'i');
+  } catch (e) {
+    // Not a valid regex, match it literally instead
+    pattern = new RegExp(selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+
+  return targets.find(target => pattern.test(target.title)) ||
+    targets.find(target => pattern.test(target.url)) ||
+    null;
+}
+
+// Pick the target to attach to when no selector is given
+function defaultTarget(targets) {
+  return targets.find(target => target.type === 'page') || targets[0] || null;
+}
+
+// Short human readable label for a target, used in log prefixes
+function targetLabel(target) {
+  return target.title || target.url || target.id;
+}
+
+// Turn a Runtime.RemoteObject into text, keeping falsy primitives
+function formatRemoteValue(arg) {
+  if (arg.type === 'string') {
+    return arg.value;
+  }
+  if (arg.unserializableValue !== undefined) {
+    return arg.unserializableValue;
+  }
+  if ('value' in arg) {
+    return JSON.stringify(arg.value);
+  }
+  return arg.type === 'undefined' ? 'undefined' : arg.description;
+}
+
+// Turn the arguments of a Runtime.consoleAPICalled event into one line
+function formatConsoleArgs(args) {
+  return args.map(formatRemoteValue).join(' ');
+}
+
+// Turn a Runtime.StackTrace into V8 style "at" lines, or null if empty
+function formatStackTrace(stackTrace) {
+  if (!stackTrace || stackTrace.callFrames.length === 0) {
+    return null;
+  }
+  return stackTrace.callFrames
+    .map(frame => `    at ${frame.functionName || '<anonymous>'} (${frame.url || '<anonymous>'}:${frame.lineNumber + 1}:${frame.columnNumber + 1})`)
+    .join('\n');
+}
+
+// The parts of an execution context we list and select by
+function describeContext(context) {
+  const auxData = context.auxData || {};
+  return {
+    id: context.id,
+    name: context.name,
+    origin: context.origin,
+    frameId: auxData.frameId || null,
+    type: auxData.type || (auxData.isDefault ? 'default' : 'isolated'),
+    isDefault: !!auxData.isDefault
+  };
+}
+
+// Contexts are selected by name and frame rather than id, so the selection
+// survives reloads, which create the same worlds with new ids
+function contextMatchesSelection(entry, context) {
+  const selection = entry.contextSelection;
+  return !!selection && context.name === selection.name && context.frameId === selection.frameId;
+}
+
+// Id of the context user code should run in, undefined for the default one
+function selectedContextId(entry) {
+  if (!entry.contextSelection) {
+    return undefined;
+  }
+  const context = [...entry.contexts.values()].find(c => contextMatchesSelection(entry, c));
+  if (!context) {
+    throw new Error(`Selected context "${entry.contextSelection.name}" is gone, select the default one`);
+  }
+  return context.id;
+}
+
+// Inject the DOM inspection tools into a non-default context
+async function injectToolsIntoContext(entry, contextId) {
+  const { exceptionDetails } = await entry.Runtime.evaluate({
+    expression: domInspectionTools,
+    contextId,
+    returnByValue: true
+  });
+  if (exceptionDetails) {
+    throw new Error(exceptionResult(exceptionDetails).error);
+  }
+}
+
+// Select the context user code runs in, by id or name (exact or regex).
+// 'default' goes back to the target's default context.
+async function selectContext(entry, selector) {
+  if (selector === 'default') {
+    entry.contextSelection = null;
+    return null;
+  }
+
+  const contexts = [...entry.contexts.values()];
+  const context = entry.contexts.get(Number(selector)) ||
+    contexts.find(c => c.name === selector) ||
+    contexts.find(c => c.name && new RegExp(selector, 'i').test(c.name));
+  if (!context) {
+    throw new Error(`No execution context matches "${selector}"`);
+  }
+
+  entry.contextSelection = context.isDefault && context.frameId === entry.mainFrameId
+    ? null
+    : { name: context.name, frameId: context.frameId };
+  if (!context.isDefault) {
+    await injectToolsIntoContext(entry, context.id);
+  }
+  return context;
+}
+
+// Create our own isolated world in the main frame and select it. It sees
+// the DOM but none of the page's globals; the tools are injected once the
+// new context is reported.
+async function createIsolatedWorld(entry, name = 'electron-repl') {
+  if (!entry.hasPage) {
+    throw new Error(`A ${entry.target.type} target has no frames to create a world in`);
+  }
+  entry.contextSelection = { name, frameId: entry.mainFrameId, created: true };
+  const { executionContextId } = await entry.client.Page.createIsolatedWorld({
+    frameId: entry.mainFrameId,
+    worldName: name
+  });
+  return executionContextId;
+}
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Default depth of result previews, as in util.inspect
+const DEFAULT_PREVIEW_DEPTH = 2;
+
+// Most properties or entries shown per object in a preview
+const MAX_PREVIEW_PROPERTIES = 100;
+
+// Object subtypes best described by their description alone
+const DESCRIPTION_SUBTYPES = [
+  'node', 'regexp', 'date', 'error', 'proxy', 'promise', 'typedarray',
+  'arraybuffer', 'dataview', 'weakmap', 'weakset', 'iterator', 'generator'
+];
+
+// Object group for one-off evaluations, released once previewed
+let evaluationCount = 0;
+
+// The { error, stack } result for an exception thrown by evaluated code
+function exceptionResult(exceptionDetails) {
+  return {
+    error: exceptionDetails.text,
+    stack: exceptionDetails.exception?.description || "No stack available"
+  };
+}
+
+// Own enumerable data properties of a remote object
+async function remoteProperties(Runtime, objectId) {
+  const { result, internalProperties = [] } = await Runtime.getProperties({ objectId, ownProperties: true });
+  return {
+    properties: result.filter(property => property.enumerable && 'value' in property && property.name !== '__proto__'),
+    internalProperties
+  };
+}
+
+// Page function returning the object it is called on if it is plain JSON
+// data: arrays and plain objects of strings, finite numbers, booleans and
+// null, without cycles. Returns undefined for anything else.
+const PLAIN_VALUE_FUNCTION = `function () {
+  const ancestors = new Set();
+  const isPlain = (value) => {
+    if (value === null || value === undefined || typeof value === 'string' || typeof value === 'boolean') {
+      return true;
+    }
+    if (typeof value === 'number') {
+      return Number.isFinite(value) && !Object.is(value, -0);
+    }
+    if (typeof value !== 'object' || ancestors.has(value)) {
+      return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    if (Array.isArray(value) ? prototype !== Array.prototype : prototype !== Object.prototype && prototype !== null) {
+      return false;
+    }
+    ancestors.add(value);
+    const plain = Object.values(value).every(isPlain);
+    ancestors.delete(value);
+    return plain;
+  };
+  return isPlain(this) ? this : undefined;
+}`;
+
+// The value of a remote array or object if it is plain JSON data, which is
+// returned whole by value instead of as a depth-limited preview. Undefined
+// for anything else.
+async function plainValue(Runtime, remote) {
+  if (remote.type !== 'object' || !remote.objectId || (remote.subtype && remote.subtype !== 'array')) {
+    return undefined;
+  }
+  try {
+    const { result } = await Runtime.callFunctionOn({
+      objectId: remote.objectId,
+      functionDeclaration: PLAIN_VALUE_FUNCTION,
+      returnByValue: true
+    });
+    return result.value;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// Build a JSON preview of a remote object, expanding nested objects down
+// to `depth` levels. Plain objects and arrays come out as plain JSON;
+// anything else is an object with an '@type' and either its properties,
+// its '@entries' (Map, Set), an '@description' (DOM nodes, functions,
+// errors, ...) or '@truncated' when it is nested too deep.
+async function buildPreview(Runtime, remote, depth = DEFAULT_PREVIEW_DEPTH) {
+  if (remote.type === 'undefined') {
+    return undefined;
+  }
+  // NaN, Infinity, -0 and bigints have no JSON value
+  if (remote.unserializableValue !== undefined || remote.type === 'symbol') {
+    return { '@type': remote.type, '@description': remote.unserializableValue || remote.description };
+  }
+  if (remote.type !== 'object' && remote.type !== 'function') {
+    return remote.value;
+  }
+  if (remote.subtype === 'null') {
+    return null;
+  }
+
+  const type = remote.type === 'function' ? 'Function' : remote.className || 'Object';
+  if (remote.type === 'function' || DESCRIPTION_SUBTYPES.includes(remote.subtype) || !remote.objectId) {
+    return { '@type': type, '@description': remote.description };
+  }
+  if (depth < 0) {
+    return { '@type': type, '@truncated': true };
+  }
+
+  const { properties, internalProperties } = await remoteProperties(Runtime, remote.objectId);
+
+  if (remote.subtype === 'map' || remote.subtype === 'set') {
+    const entriesProperty = internalProperties.find(property => property.name === '[[Entries]]');
+    const entries = [];
+    if (entriesProperty) {
+      const { properties: items } = await remoteProperties(Runtime, entriesProperty.value.objectId);
+      for (const item of items.slice(0, MAX_PREVIEW_PROPERTIES)) {
+        const { properties: parts } = await remoteProperties(Runtime, item.value.objectId);
+        const key = parts.find(part => part.name === 'key');
+        const value = parts.find(part => part.name === 'value');
+        const previewValue = value ? await buildPreview(Runtime, value.value, depth - 1) : undefined;
+        entries.push(key ? [await buildPreview(Runtime, key.value, depth - 1), previewValue] : previewValue);
+      }
+    }
+    return { '@type': type, '@entries': entries };
+  }
+
+  if (remote.subtype === 'array') {
+    const items = properties.filter(property => /^\d+$/.test(property.name));
+    const preview = [];
+    for (const item of items.slice(0, MAX_PREVIEW_PROPERTIES)) {
+      preview.push(await buildPreview(Runtime, item.value, depth - 1));
+    }
+    if (items.length > MAX_PREVIEW_PROPERTIES) {
+      preview.push(`... ${items.length - MAX_PREVIEW_PROPERTIES} more items`);
+    }
+    return preview;
+  }
+
+  const preview = type === 'Object' ? {} : { '@type': type };
+  for (const property of properties.slice(0, MAX_PREVIEW_PROPERTIES)) {
+    preview[property.name] = await buildPreview(Runtime, property.value, depth - 1);
+  }
+  if (properties.length > MAX_PREVIEW_PROPERTIES) {
+    preview['...'] = `${properties.length - MAX_PREVIEW_PROPERTIES} more properties`;
+  }
+  return preview;
+}
+
+// Label for a function in util.inspect style, from its source
+function functionLabel(source) {
+  const [, name] = /^(?:async\s+)?(?:function\*?|class)\s*([\w$]+)/.exec(source) || [];
+  if (source.startsWith('class')) {
+    return name ? `[class ${name}]` : '[class (anonymous)]';
+  }
+  return name ? `[Function: ${name}]` : '[Function (anonymous)]';
+}
+
+// Turn a preview back into local values util.inspect renders the way Node
+// would render the original: Maps, Sets, named class instances, and
+// descriptions for values that can't be rebuilt locally
+function previewToInspectable(preview) {
+  if (Array.isArray(preview)) {
+    return preview.map(previewToInspectable);
+  }
+  if (preview === null || typeof preview !== 'object') {
+    return preview;
+  }
+
+  const {
+    '@type': type,
+    '@description': description,
+    '@truncated': truncated,
+    '@entries': entries,
+    ...properties
+  } = preview;
+
+  if (description !== undefined) {
+    const text = type === 'Function' ? functionLabel(description) : description;
+    return { [util.inspect.custom]: (depth, options) => options.stylize(text, type === 'bigint' || type === 'number' ? 'number' : 'special') };
+  }
+  if (truncated) {
+    return { [util.inspect.custom]: (depth, options) => options.stylize(`[${type}]`, 'special') };
+  }
+  if (entries) {
+    return type === 'Map'
+      ? new Map(entries.map(([key, value]) => [previewToInspectable(key), previewToInspectable(value)]))
+      : new Set(entries.map(previewToInspectable));
+  }
+
+  const local = {};
+  for (const [name, value] of Object.entries(properties)) {
+    local[name] = previewToInspectable(value);
+  }
+  if (!type) {
+    return local;
+  }
+  // An instance of a class with the remote class name
+  const Named = { [type]: class {} }[type];
+  return Object.assign(new Named(), local);
+}
+
+// Parse a request or response body as JSON, falling back to the raw text
+function parseBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+// Request types whose response bodies we stream chunk by chunk
+const STREAMED_RESOURCE_TYPES = ['Fetch', 'XHR', 'EventSource'];
+
+// Watch the network traffic of a client through the CDP Network domain and
+// emit it on `emitter` as 'network' events, in the same shape as the
+// messageLog entries of monitorApiCall plus the url, method and requestId
+// of the request they belong to.
+async function enableNetworkMonitor(entry, emitter) {
+  if (entry.network) {
+    return;
+  }
+
+  const { Network } = entry.client;
+  // Requests in flight, keyed by requestId
+  const requests = new Map();
+  entry.network = { requests, canStream: true };
+
+  const emit = (request, message) => {
+    emitter.emit('network', {
+      source: entry.source,
+      requestId: request.requestId,
+      url: request.url,
+      method: request.method,
+      timestamp: Date.now(),
+      ...message
+    });
+  };
+
+  Network.requestWillBeSent(async ({ requestId, request, type }) => {
+    const tracked = {
+      requestId,
+      url: request.url,
+      method: request.method,
+      resourceType: type,
+      startTime: Date.now(),
+      chunks: []
+    };
+    requests.set(requestId, tracked);
+    emit(tracked, { type: 'request-start', headers: request.headers });
+
+    let postData = request.postData;
+    if (postData === undefined && request.hasPostData) {
+      try {
+        ({ postData } = await Network.getRequestPostData({ requestId }));
+      } catch (e) {
+        // The body is no longer available
+      }
+    }
+    if (postData !== undefined) {
+      tracked.requestBody = postData;
+      emit(tracked, { type: 'request-body', body: parseBody(postData) });
+    }
+  });
+
+  Network.responseReceived(async ({ requestId, response }) => {
+    const tracked = requests.get(requestId);
+    if (!tracked) {
+      return;
+    }
+    tracked.status = response.status;
+    tracked.statusText = response.statusText;
+    tracked.headers = response.headers;
+    tracked.mimeType = response.mimeType;
+
+    // Ask for the body to be delivered with dataReceived, so streaming
+    // responses show up while they are still coming in
+    if (entry.network.canStream && STREAMED_RESOURCE_TYPES.includes(tracked.resourceType)) {
+      try {
+        const { bufferedData } = await Network.streamResourceContent({ requestId });
+        if (bufferedData) {
+          addChunk(tracked, Buffer.from(bufferedData, 'base64').toString('utf8'));
+        }
+      } catch (e) {
+        // Not supported by this Electron version
+        entry.network.canStream = false;
+      }
+    }
+  });
+
+  const addChunk = (tracked, chunk) => {
+    tracked.chunks.push(chunk);
+    emit(tracked, { type: 'response-chunk', chunk: parseStreamingJSON(chunk) });
+  };
+
+  Network.dataReceived(({ requestId, data }) => {
+    const tracked = requests.get(requestId);
+    if (tracked && data) {
+      addChunk(tracked, Buffer.from(data, 'base64').toString('utf8'));
+    }
+  });
+
+  Network.loadingFinished(async ({ requestId }) => {
+    const tracked = requests.get(requestId);
+    if (!tracked) {
+      return;
+    }
+    requests.delete(requestId);
+
+    let body = null;
+    let base64Encoded = false;
+    if (tracked.chunks.length > 0) {
+      body = tracked.chunks.join('');
+    } else {
+      try {
+        ({ body, base64Encoded } = await Network.getResponseBody({ requestId }));
+      } catch (e) {
+        // Bodies of some requests (redirects, evicted resources) are unavailable
+      }
+    }
+
+    emit(tracked, {
+      type: 'response-complete',
+      status: tracked.status,
+      statusText: tracked.statusText,
+      headers: tracked.headers,
+      mimeType: tracked.mimeType,
+      body: body !== null && !base64Encoded ? parseBody(body) : body,
+      base64Encoded,
+      duration: Date.now() - tracked.startTime
+    });
+  });
+
+  Network.loadingFailed(({ requestId, errorText, canceled }) => {
+    const tracked = requests.get(requestId);
+    if (!tracked) {
+      return;
+    }
+    requests.delete(requestId);
+    emit(tracked, { type: 'error', error: canceled ? 'Canceled' : errorText });
+  });
+
+  // WebSockets: frames are reported against the handshake request
+  Network.webSocketCreated(({ requestId, url }) => {
+    requests.set(requestId, { requestId, url, method: 'GET', resourceType: 'WebSocket', startTime: Date.now(), chunks: [] });
+    emit(requests.get(requestId), { type: 'websocket-open' });
+  });
+
+  Network.webSocketFrameSent(({ requestId, response }) => {
+    const tracked = requests.get(requestId);
+    if (tracked) {
+      emit(tracked, { type: 'websocket-frame-sent', opcode: response.opcode, data: parseStreamingJSON(response.payloadData) });
+    }
+  });
+
+  Network.webSocketFrameReceived(({ requestId, response }) => {
+    const tracked = requests.get(requestId);
+    if (tracked) {
+      emit(tracked, { type: 'websocket-frame-received', opcode: response.opcode, data: parseStreamingJSON(response.payloadData) });
+    }
+  });
+
+  Network.webSocketClosed(({ requestId }) => {
+    const tracked = requests.get(requestId);
+    if (tracked) {
+      requests.delete(requestId);
+      emit(tracked, { type: 'websocket-closed', duration: Date.now() - tracked.startTime });
+    }
+  });
+
+  Network.eventSourceMessageReceived(({ requestId, eventName, eventId, data }) => {
+    const tracked = requests.get(requestId);
+    if (tracked) {
+      emit(tracked, { type: 'eventsource-message', event: eventName, eventId, data: parseStreamingJSON(data) });
+    }
+  });
+
+  await Network.enable();
+}
+
+// A connection to an Electron app through the DevTools protocol. It
+// attaches to the app's targets (windows, webviews, workers) and, with an
+// inspectPort, its main process. It injects the DOM inspection tools,
+// evaluates code and reports what happens in the app as events:
+//   'console'    { source, target, level, message, stack, timestamp }
+//   'exception'  { source, target, message, stack, url, timestamp }
+//   'log-entry'  { source, target, origin, level, message, stack, url, timestamp }
+//                browser log entries: failed requests, CSP violations, ...
+//   'network'    traffic of all targets, once monitor() was called
+//   'connection' { source, message, timestamp } when targets come and go
+// `source` is the target id, or 'main' for the main process.
+//
+// Listeners of the 'attach', 'navigate', 'load' and 'reconnect' events can
+// be async and are awaited. 'attach' (entry) runs while attaching to a target.
+// 'navigate' (entry) runs when its main frame gets a new document. 'load'
+// (entry) runs once that document has loaded, or for workers once the tools
+// are injected into their new context. 'reconnect' (entry) runs after
+// getting a lost connection back.
+class ElectronInjector extends EventEmitter {
+  constructor({ port = 9222, target, inspectPort, log = () => {} } = {}) {
+    super();
+    this.setMaxListeners(0);
+    // DevTools debugging port, and Node inspector port of the main process
+    this.port = port;
+    this.inspectPort = inspectPort;
+    // Target to attach to by default (id, index, title or URL regex)
+    this.targetSelector = target;
+    // Progress messages, like `Attaching to page "Main Window"...`
+    this.log = log;
+    // Every target we have attached to, keyed by target id
+    this.clients = new Map();
+    // The target code runs in unless another one is asked for
+    this.activeClient = null;
+    // Client for the main process Node inspector, if connected
+    this.mainClient = null;
+    // Pending reconnect after the active target went away, if any, and the
+    // timer it waits on between attempts
+    this.reconnecting = null;
+    this.reconnectWait = null;
+    // Set by close(), stops a pending reconnect
+    this.closed = false;
+    // Once anyone asked for network events, every attached target is monitored
+    this.networkMonitorWanted = false;
+  }
+
+  // Call the listeners of a hook event one after another, waiting for each
+  async runHook(name, ...args) {
+    for (const listener of this.listeners(name)) {
+      await listener(...args);
+    }
+  }
+
+  // Report a connection change
+  notify(message, source) {
+    this.emit('connection', { source, message, timestamp: Date.now() });
+  }
+
+  // List all debuggable targets (windows, webviews, workers) of the app
+  async listTargets() {
+    const targets = await CDP.List({ port: this.port });
+    return targets.filter(target =>
+      DEBUGGABLE_TARGET_TYPES.includes(target.type) && target.webSocketDebuggerUrl
+    );
+  }
+
+  // Emit console output, uncaught exceptions and browser log entries of a
+  // client
+  forwardRuntimeEvents(entry) {
+    const targetName = () => entry.target ? targetLabel(entry.target) : 'main process';
+
+    entry.Runtime.consoleAPICalled(({ type, args, stackTrace }) => {
+      this.emit('console', {
+        source: entry.source,
+        target: targetName(),
+        level: type,
+        message: formatConsoleArgs(args),
+        stack: formatStackTrace(stackTrace),
+        timestamp: Date.now()
+      });
+    });
+
+    entry.Runtime.exceptionThrown(({ exceptionDetails }) => {
+      const { exception, text, url, stackTrace } = exceptionDetails;
+      // Error descriptions hold the message followed by the stack
+      const [summary, ...stackLines] = exception ? formatRemoteValue(exception).split('\n') : [text];
+      this.emit('exception', {
+        source: entry.source,
+        target: targetName(),
+        message: exception ? `${text} ${summary}` : summary,
+        stack: formatStackTrace(stackTrace) || stackLines.join('\n') || null,
+        url: url || null,
+        timestamp: Date.now()
+      });
+    });
+
+    if (entry.source !== 'main') {
+      entry.client.Log.entryAdded(({ entry: logEntry }) => {
+        this.emit('log-entry', {
+          source: entry.source,
+          target: targetName(),
+          origin: logEntry.source,
+          level: logEntry.level,
+          message: logEntry.text,
+          stack: formatStackTrace(logEntry.stackTrace),
+          url: logEntry.url || null,
+          timestamp: Date.now()
+        });
+      });
+    }
+  }
+
+  // Attach to a single target and inject the DOM inspection tools. The
+  // selector that picked the target is kept so we can find it again after
+  // an app restart, when all target ids change.
+  async attach(target, selector) {
+    this.log(`Attaching to ${target.type} "${targetLabel(target)}" (${target.id})...`);
+    const client = await CDP({ port: this.port, target });
+    const { Runtime, Page } = client;
+
+    // Track every execution context: the main world, isolated worlds
+    // (preload scripts with contextIsolation, ours) and those of each frame.
+    // Registered before Runtime.enable, which reports the existing ones.
+    const contexts = new Map();
+    Runtime.executionContextCreated(({ context }) => contexts.set(context.id, describeContext(context)));
+    Runtime.executionContextDestroyed(({ executionContextId }) => contexts.delete(executionContextId));
+    Runtime.executionContextsCleared(() => contexts.clear());
+    await Runtime.enable();
+
+    const entry = {
+      client,
+      Runtime,
+      source: target.id,
+      target,
+      selector,
+      hasPage: PAGE_TARGET_TYPES.includes(target.type),
+      mainFrameId: null,
+      contexts,
+      // Context user code is evaluated in, null for the default one
+      contextSelection: null
+    };
+
+    if (entry.hasPage) {
+      // Have the browser inject the tools into every new document, so they
+      // survive reloads and navigations without a round-trip from us
+      await Page.enable();
+      await Page.addScriptToEvaluateOnNewDocument({ source: domInspectionTools });
+      const { frameTree } = await Page.getFrameTree();
+      entry.mainFrameId = frameTree.frame.id;
+    }
+
+    // Inject the DOM inspection tools into the current document
+    await Runtime.evaluate({
+      expression: domInspectionTools,
+      returnByValue: true
+    });
+
+    if (this.networkMonitorWanted) {
+      await enableNetworkMonitor(entry, this);
+    }
+
+    this.clients.set(target.id, entry);
+
+    this.forwardRuntimeEvents(entry);
+    // Not every target type has the Log domain
+    await client.Log.enable().catch(() => {});
+
+    // A new default context in the main frame means a reload or navigation
+    Runtime.executionContextCreated(async ({ context }) => {
+      const auxData = context.auxData || {};
+      if (!auxData.isDefault || (entry.mainFrameId && auxData.frameId !== entry.mainFrameId)) {
+        return;
+      }
+
+      try {
+        await this.runHook('navigate', entry);
+
+        // Worlds we created don't survive navigations, create the selected one again
+        if (entry.contextSelection && entry.contextSelection.created) {
+          createIsolatedWorld(entry, entry.contextSelection.name).catch(err =>
+            this.notify(`Failed to recreate isolated world: ${err.message}`, entry.source));
+        }
+
+        if (!entry.hasPage) {
+          // Workers have no Page domain, so inject the tools ourselves
+          await Runtime.evaluate({ expression: domInspectionTools, returnByValue: true });
+          await this.runHook('load', entry);
+        }
+        this.notify(`New execution context in "${targetLabel(target)}", tools re-injected`, entry.source);
+      } catch (err) {
+        this.notify(`Failed to set up the new execution context: ${err.message}`, entry.source);
+      }
+    });
+
+    // The selected context needs the tools again when it comes back after a
+    // reload. Default contexts get them from the browser.
+    Runtime.executionContextCreated(({ context }) => {
+      if (!(context.auxData || {}).isDefault && contextMatchesSelection(entry, describeContext(context))) {
+        injectToolsIntoContext(entry, context.id).catch(err =>
+          this.notify(`Failed to inject tools into "${context.name}": ${err.message}`, entry.source));
+      }
+    });
+
+    if (entry.hasPage) {
+      Page.loadEventFired(() => {
+        this.runHook('load', entry).catch(err =>
+          this.notify(`Failed to set up the loaded page: ${err.message}`, entry.source));
+      });
+    }
+
+    client.on('disconnect', () => {
+      this.clients.delete(target.id);
+      if (this.activeClient === entry) {
+        this.activeClient = null;
+        this.notify(`Lost connection to "${targetLabel(target)}", reconnecting...`, entry.source);
+        this.reconnect(entry);
+      }
+    });
+
+    await this.runHook('attach', entry);
+    return entry;
+  }
+
+  // Reconnect to a target we lost, retrying with exponential backoff until
+  // the app is reachable again. Without a previous target this waits for the
+  // first connection to the default target.
+  reconnect(previous = null) {
+    const selector = previous ? previous.selector : this.targetSelector;
+    this.closed = false;
+    const attempt = (async () => {
+      // close() or a newer reconnect takes over
+      const stopped = () => this.closed || this.reconnecting !== attempt;
+      let delay = RECONNECT_INITIAL_DELAY;
+      for (;;) {
+        await this.reconnectDelay(delay);
+        if (stopped()) {
+          return null;
+        }
+        try {
+          const targets = await this.listTargets();
+          // Same target if it survived, otherwise whatever the original selector finds
+          const target = (previous && targets.find(t => t.id === previous.target.id)) ||
+            (selector ? matchTarget(targets, selector) : defaultTarget(targets));
+          if (target && !stopped()) {
+            const entry = this.clients.get(target.id) || await this.attach(target, selector);
+            if (stopped()) {
+              if (this.closed) {
+                this.clients.delete(target.id);
+                entry.client.close();
+              }
+              return null;
+            }
+            this.activeClient = entry;
+            this.notify(`${previous ? 'Reconnected' : 'Connected'} to "${targetLabel(target)}"`, entry.source);
+            await this.runHook('reconnect', entry);
+            return entry;
+          }
+        } catch (err) {
+          // The app is not reachable yet, keep waiting
+        }
+        delay = Math.min(delay * 2, RECONNECT_MAX_DELAY);
+      }
+    })();
+    this.reconnecting = attempt;
+
+    return attempt.finally(() => {
+      if (this.reconnecting === attempt) {
+        this.reconnecting = null;
+      }
+    });
+  }
+
+  // Wait between reconnect attempts, cut short by close()
+  reconnectDelay(ms) {
+    return new Promise(resolve => {
+      this.reconnectWait = { timer: setTimeout(resolve, ms), resolve };
+    });
+  }
+
+  // Connect to the app. Without a selector this returns the active client
+  // (attaching to the default target or the first page if there is none
+  // yet); with a selector it returns the client of the matching target.
+  async connect(selector) {
+    if (!selector && this.activeClient) {
+      return this.activeClient;
+    }
+
+    if (!selector && this.reconnecting) {
+      throw new Error('Connection to the Electron app lost, reconnecting...');
+    }
+
+    try {
+      if (!selector) {
+        this.log(`Connecting to CDP on port ${this.port}...`);
+      }
+      const targets = await this.listTargets();
+      const wanted = selector || this.targetSelector;
+      const target = wanted ? matchTarget(targets, wanted) : defaultTarget(targets);
+      if (!target) {
+        throw new Error(wanted ? `No target matches "${wanted}"` : 'No debuggable targets found');
+      }
+
+      const entry = this.clients.get(target.id) || await this.attach(target, wanted);
+
+      if (!this.activeClient) {
+        this.activeClient = entry;
+        this.log('Successfully connected to the Electron app');
+      }
+
+      return entry;
+    } catch (err) {
+      this.log(`Failed to connect to CDP: ${err.message}`);
+      throw err;
+    }
+  }
+
+  // Connect to the Electron main process through its Node inspector
+  async connectToMain() {
+    if (this.mainClient) {
+      return this.mainClient;
+    }
+
+    if (!this.inspectPort) {
+      throw new Error('No main process inspector port configured, start the app with --inspect');
+    }
+
+    try {
+      this.log(`Connecting to the main process inspector on port ${this.inspectPort}...`);
+      const client = await CDP({ port: this.inspectPort });
+      const { Runtime } = client;
+      await Runtime.enable();
+      // Let apps started with --inspect-brk continue
+      await Runtime.runIfWaitingForDebugger();
+
+      const entry = { client, Runtime, source: 'main' };
+      this.forwardRuntimeEvents(entry);
+
+      client.on('disconnect', () => {
+        if (this.mainClient === entry) {
+          this.mainClient = null;
+          this.notify('Lost connection to the main process', entry.source);
+        }
+      });
+
+      this.mainClient = entry;
+      this.log('Successfully connected to the main process');
+      return this.mainClient;
+    } catch (err) {
+      this.log(`Failed to connect to the main process: ${err.message}`);
+      throw err;
+    }
+  }
+
+  // Make the matching target the active one
+  async use(selector) {
+    this.activeClient = await this.connect(selector);
+    return this.activeClient.target;
+  }
+
+  // Resolve the client to evaluate on. `options.context` is 'renderer'
+  // (default) or 'main', `options.target` selects a renderer target by id or
+  // pattern, `options.client` is an already attached client.
+  async clientFor(options = {}) {
+    if (options.client) {
+      return options.client;
+    }
+    return options.context === 'main' ? this.connectToMain() : this.connect(options.target);
+  }
+
+  // Evaluate code and keep the result as a remote object in
+  // `options.objectGroup`. `options.replMode` evaluates like the DevTools
+  // console: top-level await, and let/const can be declared again.
+  // `options.contextId` picks an execution context of the target. See
+  // clientFor() for the other options.
+  async evaluateRemote(code, options = {}) {
+    const entry = await this.clientFor(options);
+    const response = await entry.Runtime.evaluate({
+      expression: code,
+      objectGroup: options.objectGroup,
+      // An explicit contextId wins over the selected context
+      contextId: options.contextId !== undefined ? Number(options.contextId) : selectedContextId(entry),
+      awaitPromise: true,
+      replMode: !!options.replMode,
+      // Gives main process code access to require()
+      includeCommandLineAPI: options.context === 'main'
+    });
+    return { entry, ...response };
+  }
+
+  // Execute JavaScript in the app and return the result: plain JSON data
+  // as it is, other values as a JSON preview `options.depth` levels deep,
+  // or { error, stack } if it threw. See
+  // evaluateRemote() for the other options.
+  async evaluate(code, options = {}) {
+    const objectGroup = `execute-${++evaluationCount}`;
+    let entry;
+    try {
+      let result;
+      let exceptionDetails;
+      ({ entry, result, exceptionDetails } = await this.evaluateRemote(code, { ...options, objectGroup }));
+
+      if (exceptionDetails) {
+        return exceptionResult(exceptionDetails);
+      }
+
+      const plain = await plainValue(entry.Runtime, result);
+      if (plain !== undefined) {
+        return plain;
+      }
+
+      const depth = options.depth !== undefined ? Number(options.depth) : DEFAULT_PREVIEW_DEPTH;
+      return await buildPreview(entry.Runtime, result, depth);
+    } catch (err) {
+      return { error: err.message };
+    } finally {
+      if (entry) {
+        entry.Runtime.releaseObjectGroup({ objectGroup }).catch(() => {});
+      }
+    }
+  }
+
+  // Inject the DOM inspection tools again, into the active target or the
+  // given client, and into a context other than its default one with
+  // contextId. Attached targets get them on their own, this is for pages
+  // that replaced or removed them.
+  async injectTools(entry, contextId) {
+    const client = entry || await this.connect();
+    if (contextId !== undefined) {
+      await injectToolsIntoContext(client, contextId);
+      return;
+    }
+    const { exceptionDetails } = await client.Runtime.evaluate({
+      expression: domInspectionTools,
+      contextId: selectedContextId(client),
+      returnByValue: true
+    });
+    if (exceptionDetails) {
+      throw new Error(exceptionResult(exceptionDetails).error);
+    }
+  }
+
+  // Turn on the network monitor for all attached targets and future ones.
+  // Their traffic is emitted as 'network' events.
+  async monitor() {
+    this.networkMonitorWanted = true;
+    await Promise.all([...this.clients.values()].map(entry => enableNetworkMonitor(entry, this)));
+  }
+
+  // Close the connections to every attached target and stop reconnecting
+  close() {
+    // Stop a pending reconnect, and clear the active client first so the
+    // disconnects don't trigger a new one
+    this.closed = true;
+    this.reconnecting = null;
+    if (this.reconnectWait) {
+      clearTimeout(this.reconnectWait.timer);
+      this.reconnectWait.resolve();
+      this.reconnectWait = null;
+    }
+    this.activeClient = null;
+    const entries = [...this.clients.values()];
+    this.clients.clear();
+    if (this.mainClient) {
+      entries.push(this.mainClient);
+      this.mainClient = null;
+    }
+    for (const { client } of entries) {
+      client.close();
+    }
+  }
+}
+
+module.exports = {
+  ElectronInjector,
+  EXECUTION_CONTEXTS,
+  PAGE_TARGET_TYPES,
+  domInspectionTools,
+  parseStreamingJSON,
+  parseBody,
+  matchTarget,
+  targetLabel,
+  formatRemoteValue,
+  describeContext,
+  selectedContextId,
+  selectContext,
+  createIsolatedWorld,
+  buildPreview,
+  PLAIN_VALUE_FUNCTION,
+  previewToInspectable,
+  exceptionResult,
+  sleep
+};
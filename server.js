@@ -1,10 +1,34 @@
+#!/usr/bin/env node
 const express = require('express');
 const CDP = require('chrome-remote-interface');
+const WebSocket = require('ws');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
 const readline = require('readline');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const util = require('util');
+const vm = require('vm');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const {
+  ElectronInjector,
+  EXECUTION_CONTEXTS,
+  PAGE_TARGET_TYPES,
+  targetLabel,
+  selectedContextId,
+  selectContext,
+  createIsolatedWorld,
+  buildPreview,
+  previewToInspectable,
+  exceptionResult,
+  sleep
+} = require('./injector');
+const { name: toolName, version: toolVersion } = require('./package.json');
 
 // Parse command-line arguments
 const argv = yargs(hideBin(process.argv))
@@ -19,944 +43,3337 @@ const argv = yargs(hideBin(process.argv))
     description: 'JavaScript file to execute in the Electron app',
     type: 'string'
   })
+  .option('target', {
+    alias: 't',
+    description: 'Target to attach to (id, title regex or URL regex)',
+    type: 'string'
+  })
+  .option('inspect-port', {
+    alias: 'ip',
+    description: 'Node inspector port of the Electron main process (app started with --inspect)',
+    type: 'number'
+  })
+  .option('mocks', {
+    alias: 'm',
+    description: 'JSON file with request interception and mocking rules',
+    type: 'string'
+  })
+  .option('userscripts', {
+    alias: 'u',
+    description: 'Directory of userscripts to inject into matching pages',
+    type: 'string',
+    default: path.join(configDir(), 'userscripts'),
+    defaultDescription: '<config dir>/userscripts'
+  })
+  .option('watch', {
+    alias: 'w',
+    description: 'JavaScript file to run in the app again whenever it changes (repeatable)',
+    type: 'array',
+    string: true
+  })
+  .option('log-file', {
+    description: 'File to append console output, exceptions and log entries of the app to, as JSON lines',
+    type: 'string'
+  })
   .option('server-port', {
     alias: 'sp',
     description: 'Port for the Express server',
     type: 'number',
     default: 3000
   })
+  .option('host', {
+    description: 'Address the Express server binds to',
+    type: 'string',
+    default: '127.0.0.1'
+  })
+  .option('socket', {
+    description: 'Unix domain socket to listen on instead of a TCP port',
+    type: 'string'
+  })
+  .option('token', {
+    description: 'Bearer token required by the HTTP API (generated at startup if not given)',
+    type: 'string'
+  })
+  .option('cors', {
+    description: 'Origin allowed to call the HTTP API from a browser (repeatable)',
+    type: 'array',
+    string: true,
+    default: []
+  })
+  .option('daemon', {
+    alias: 'd',
+    description: 'Only serve the API and keep waiting for the app to appear, for pm2 and other process managers',
+    type: 'boolean',
+    default: false
+  })
+  .option('repl', {
+    description: 'Start the interactive REPL (--no-repl serves the API only, like --daemon)',
+    type: 'boolean',
+    default: true
+  })
+  .option('launch', {
+    alias: 'l',
+    description: 'Electron app to start with debugging enabled and attach to; app arguments go after --',
+    type: 'string'
+  })
+  .option('launch-inspect', {
+    description: 'Also start the main process of the --launch app with --inspect and connect to it',
+    type: 'boolean',
+    default: false
+  })
+  .option('restart-on-exit', {
+    description: 'Start the --launch app again whenever it exits',
+    type: 'boolean',
+    default: false
+  })
+  .option('server', {
+    description: 'Send exec, run and wait-for to a running server (uses --host, --server-port or --socket, and --token) instead of connecting to the app',
+    type: 'boolean',
+    default: false
+  })
+  .option('args', {
+    description: 'JSON value the file of the run command gets as `args`',
+    type: 'string'
+  })
+  .option('json', {
+    description: 'Print the result of exec, run and wait-for as JSON',
+    type: 'boolean',
+    default: false
+  })
+  .option('timeout', {
+    description: 'Milliseconds exec, run and wait-for may take before they exit with code 2',
+    type: 'number',
+    default: 30000
+  })
+  .option('depth', {
+    description: 'Levels of nested objects exec and run show of results that are not plain JSON data',
+    type: 'number',
+    default: 2
+  })
+  .option('visible', {
+    description: 'Make wait-for wait until a matching element is visible',
+    type: 'boolean',
+    default: false
+  })
+  .parserConfiguration({ 'populate--': true })
+  .command('repl', 'Attach a REPL to a running server over its API (uses --host, --server-port or --socket, and --token)')
+  .command('exec <code>', 'Run code in the app, print the result and exit', yargs => yargs.positional('code', { type: 'string' }))
+  .command('run <file>', 'Run a JavaScript file in the app, print the result and exit', yargs => yargs.positional('file', { type: 'string' }))
+  .command('wait-for <selector>', 'Wait until an element matching a selector or text exists, print its selector and exit',
+    yargs => yargs.positional('selector', { type: 'string' }))
   .help()
   .alias('help', 'h')
   .argv;
 
+// Token every HTTP request and WebSocket connection has to present
+const apiToken = argv.token || crypto.randomBytes(24).toString('hex');
+
+// Origins allowed to call the API from a browser
+const corsOrigins = new Set(argv.cors);
+
+// Whether a request carries the API token: as a bearer token, or as a
+// `token` query parameter for EventSource and WebSocket clients, which
+// can't set headers
+function hasValidToken(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  const token = bearer ? bearer[1] : new URL(req.url, 'http://localhost').searchParams.get('token');
+  if (!token) {
+    return false;
+  }
+  const given = Buffer.from(token);
+  const expected = Buffer.from(apiToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
 const app = express();
+
+// Let the --cors origins call the API, and answer their preflight requests,
+// which come without the token
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (origin && corsOrigins.has(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE');
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      return res.sendStatus(204);
+    }
+  }
+  next();
+});
+
+// Require the API token on every route
+app.use((req, res, next) => {
+  if (!hasValidToken(req)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Missing or invalid API token' });
+  }
+  next();
+});
+
 app.use(express.json());
 
-// Store the active CDP client globally so we can reuse it
-let activeClient = null;
-
-// The DOM inspection helper functions as a string
-const domInspectionTools = `
-// DOM Inspector Helper Functions
-function findElementsByTextInfo(searchText) {
-  const elements = findElementsByText(searchText);
-  return elements.map(el => ({
-    tagName: el.tagName,
-    id: el.id || null,
-    classes: el.className || null,
-    textContent: el.textContent.substring(0, 100),
-    selector: safeSelector(el)
-  }));
+// The connection to the app. Besides its own events it carries the 'log',
+// 'mock' and 'dom' events of this server, for the streaming endpoints.
+const injector = new ElectronInjector({
+  port: argv.port,
+  target: argv.target,
+  inspectPort: argv.inspectPort,
+  log: (...args) => printAbovePrompt(...args)
+});
+
+// Print a message from an async event without garbling the REPL prompt
+function printAbovePrompt(...args) {
+  // Clear the current line
+  if (process.stdout.isTTY) {
+    process.stdout.clearLine();
+    process.stdout.cursorTo(0);
+  }
+  console.log(...args);
+  // If we have an active readline interface, re-display the prompt and current input
+  if (rl) {
+    rl.prompt(true);
+  }
 }
 
-function generateSelector(element) {
-  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-    return null;
+// Print connection changes of the app
+injector.on('connection', (event) => {
+  printAbovePrompt(`[Connection] ${event.message}`);
+});
+
+// Number of log entries kept for `.logs` and /logs
+const LOG_BUFFER_SIZE = 1000;
+
+// Log levels from least to most severe
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Console API types and Log domain levels that aren't log levels themselves.
+// Other console types (dir, table, count, ...) count as info.
+const LOG_LEVEL_ALIASES = {
+  verbose: 'debug',
+  log: 'info',
+  warning: 'warn',
+  assert: 'error'
+};
+
+// Structured console output, exceptions and browser log entries of every
+// client, oldest first
+const logBuffer = [];
+let nextLogId = 1;
+
+// Levels up to this index in LOG_LEVELS aren't printed in the REPL, see `.mute`
+let mutedThrough = -1;
+
+// JSONL file every log entry is appended to, with --log-file
+let logStream = null;
+
+// The log level a console type or Log domain level maps to, or null for
+// something that's neither
+function parseLogLevel(name) {
+  const lower = String(name).toLowerCase();
+  return LOG_LEVELS.includes(lower) ? lower : LOG_LEVEL_ALIASES[lower] || null;
+}
+
+// Print a log entry in the REPL, prefixed with where it came from
+function printLogEntry(record) {
+  const kind = record.origin === 'console' || record.origin === record.type ? record.type : `${record.origin} ${record.type}`;
+  let prefix;
+  if (record.source === 'main') {
+    prefix = `[Main ${kind}]:`;
+  } else if (record.source === 'process') {
+    prefix = `[Process ${kind}]:`;
+  } else if (injector.activeClient && record.source === injector.activeClient.source) {
+    prefix = `[App ${kind}]:`;
+  } else {
+    // Prefix messages from targets other than the active one with their name
+    prefix = `[App ${kind} @ ${record.target}]:`;
   }
-  
-  // Try different selector strategies in order of preference
-  const strategies = [
-    // Strategy 1: ID-based selector
-    function() {
-      if (element.id && document.querySelectorAll('#' + CSS.escape(element.id)).length === 1) {
-        return '#' + CSS.escape(element.id);
-      }
-      return null;
-    },
-    
-    // Strategy 2: Unique class combination
-    function() {
-      if (element.className) {
-        const classes = element.className.trim().split(/\s+/);
-        const usefulClasses = classes
-          .filter(function(cls) {
-            return cls && 
-                   !cls.startsWith('__') && 
-                   !/^[a-z][a-z0-9]+-[a-f0-9]+$/i.test(cls) && 
-                   cls.length < 25;
-          });
-        
-        // Try combinations of classes from most specific to least
-        for (let i = Math.min(3, usefulClasses.length); i > 0; i--) {
-          const classSelector = element.tagName.toLowerCase() + '.' + 
-            usefulClasses.slice(0, i).map(function(c) { return CSS.escape(c); }).join('.');
-          if (document.querySelectorAll(classSelector).length === 1) {
-            return classSelector;
-          }
-        }
-      }
-      return null;
-    },
-    
-    // Strategy 3: Attribute-based selector
-    function() {
-      const uniqueAttributes = ['name', 'type', 'role', 'data-testid', 'aria-label', 'title', 'placeholder'];
-      for (const attr of uniqueAttributes) {
-        if (element.hasAttribute(attr)) {
-          const selector = element.tagName.toLowerCase() + '[' + attr + '="' + 
-            CSS.escape(element.getAttribute(attr)) + '"]';
-          if (document.querySelectorAll(selector).length === 1) {
-            return selector;
-          }
-        }
-      }
-      return null;
-    },
-    
-    // Strategy 4: Parent context with nth-of-type
-    function() {
-      if (element.parentElement && element.parentElement !== document.body) {
-        const parent = element.parentElement;
-        const parentSelector = generateSelector(parent);
-        if (parentSelector) {
-          const siblings = Array.from(parent.children).filter(function(child) {
-            return child.tagName === element.tagName;
-          });
-          const index = siblings.indexOf(element) + 1;
-          const selector = parentSelector + ' > ' + element.tagName.toLowerCase() + 
-            ':nth-of-type(' + index + ')';
-          if (document.querySelectorAll(selector).length === 1) {
-            return selector;
-          }
-        }
-      }
-      return null;
-    },
-    
-    // Strategy 5: Fallback - Position-based selector
-    function() {
-      let current = element;
-      const parts = [];
-      let depth = 0;
-      const maxDepth = 3;
-      
-      while (current && current !== document.body && depth < maxDepth) {
-        const tag = current.tagName.toLowerCase();
-        const index = Array.from(current.parentElement.children)
-          .filter(function(child) { return child.tagName === current.tagName; })
-          .indexOf(current) + 1;
-        
-        parts.unshift(tag + ':nth-child(' + index + ')');
-        current = current.parentElement;
-        depth++;
-        
-        // Test if the current path is unique
-        const testSelector = parts.join(' > ');
-        if (document.querySelectorAll(testSelector).length === 1) {
-          return testSelector;
-        }
-      }
-      
-      // If we get here, return the full path as last resort
-      return parts.join(' > ');
+  const showStack = record.stack && (record.origin === 'exception' || record.type === 'trace');
+  printAbovePrompt(prefix, showStack ? `${record.message}\n${record.stack}` : record.message);
+}
+
+// Keep a log entry, append it to the log file, print it unless muted and
+// emit it on injector as a 'log' event
+function recordLog(record) {
+  record = { id: nextLogId++, ...record };
+  logBuffer.push(record);
+  if (logBuffer.length > LOG_BUFFER_SIZE) {
+    logBuffer.shift();
+  }
+  if (logStream) {
+    logStream.write(JSON.stringify(record) + '\n');
+  }
+  if (LOG_LEVELS.indexOf(record.level) > mutedThrough) {
+    printLogEntry(record);
+  }
+  injector.emit('log', record);
+  return record;
+}
+
+// Build a predicate for log entries. `level` is the least severe level to
+// include, `grep` a case-insensitive regex for the message or stack and
+// `source` a target id or 'main'.
+function logFilter({ level, grep, source } = {}) {
+  const minimum = level ? LOG_LEVELS.indexOf(parseLogLevel(level)) : 0;
+  if (minimum === -1) {
+    throw new Error(`Unknown log level "${level}", use one of ${LOG_LEVELS.join(', ')}`);
+  }
+  const pattern = grep ? new RegExp(grep, 'i') : null;
+  return record =>
+    LOG_LEVELS.indexOf(record.level) >= minimum &&
+    (!source || record.source === source) &&
+    (!pattern || pattern.test(record.message) || (record.stack !== null && pattern.test(record.stack)));
+}
+
+// Record and print console output, exceptions and browser log entries of
+// the app
+injector.on('console', (event) => {
+  recordLog({
+    source: event.source,
+    target: event.target,
+    origin: 'console',
+    type: event.level,
+    level: parseLogLevel(event.level) || 'info',
+    message: event.message,
+    stack: event.stack,
+    timestamp: event.timestamp
+  });
+});
+
+injector.on('exception', (event) => {
+  recordLog({
+    source: event.source,
+    target: event.target,
+    origin: 'exception',
+    type: 'exception',
+    level: 'error',
+    message: event.message,
+    stack: event.stack,
+    url: event.url,
+    timestamp: event.timestamp
+  });
+});
+
+injector.on('log-entry', (event) => {
+  recordLog({
+    source: event.source,
+    target: event.target,
+    origin: event.origin,
+    type: event.level,
+    level: parseLogLevel(event.level) || 'info',
+    message: event.message,
+    stack: event.stack,
+    url: event.url,
+    timestamp: event.timestamp
+  });
+});
+
+// Re-run the --script payload in a freshly loaded or reconnected target,
+// once per document: a reconnect during a page load is followed by the
+// load event of the same document
+async function runStartupScript(entry) {
+  if (!argv.script || entry.startupScriptRan) {
+    return;
+  }
+  entry.startupScriptRan = true;
+
+  try {
+    const scriptContent = fs.readFileSync(path.resolve(argv.script), 'utf8');
+    const result = await injector.evaluate(scriptContent, { client: entry });
+    if (result && result.error) {
+      injector.notify(`Script execution failed: ${result.error}`, entry.source);
     }
-  ];
-  
-  // Try each strategy in order until we get a valid selector
-  for (const strategy of strategies) {
+  } catch (err) {
+    injector.notify(`Failed to read script file: ${err.message}`, entry.source);
+  }
+}
+
+// Set up the mocks and userscripts in every target we attach to
+injector.on('attach', async (entry) => {
+  if (entry.hasPage) {
+    await syncUserscriptRegistrations(entry);
+  }
+  await syncMockInterception(entry);
+  // The current document has loaded already, so it gets all matching scripts
+  await injectUserscripts(entry);
+});
+
+// Cached completions and the --script run belong to the previous document
+injector.on('navigate', (entry) => {
+  entry.completions = null;
+  entry.startupScriptRan = false;
+});
+
+// New documents get their observers, the idle userscripts (all of them in
+// workers), the script and the watched files once they have loaded
+injector.on('load', async (entry) => {
+  await resumeObservations(entry);
+  await injectUserscripts(entry, entry.hasPage ? 'document-idle' : undefined);
+  await runStartupScript(entry);
+  if (entry.hasPage && entry === injector.activeClient) {
+    await runWatchedFiles(entry);
+  }
+});
+
+injector.on('reconnect', runStartupScript);
+
+// How long to wait for a launched app to open its debugging port
+const LAUNCH_TIMEOUT = 30000;
+
+// Delay before starting the app again with --restart-on-exit
+const LAUNCH_RESTART_DELAY = 1000;
+
+// The app process started with --launch, if running
+let appProcess = null;
+
+// Find a free TCP port on localhost
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// The executable to run for --launch: the binary inside a macOS .app
+// bundle, a path, or a command found through PATH
+function appExecutable(appPath) {
+  if (!appPath.includes('/') && !appPath.includes(path.sep)) {
+    return appPath;
+  }
+  const resolved = path.resolve(appPath);
+  if (resolved.endsWith('.app') && fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    return path.join(resolved, 'Contents', 'MacOS', path.basename(resolved, '.app'));
+  }
+  return resolved;
+}
+
+// Start the --launch app on our debugging port (and inspector port), with
+// its output going to the log. When it exits we start it again with
+// --restart-on-exit, or exit too.
+function spawnApp() {
+  const args = [`--remote-debugging-port=${argv.port}`];
+  if (argv.launchInspect) {
+    args.push(`--inspect=${argv.inspectPort}`);
+  }
+  args.push(...(argv['--'] || []).map(String));
+
+  const child = spawn(appExecutable(argv.launch), args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  for (const stream of ['stdout', 'stderr']) {
+    readline.createInterface({ input: child[stream] }).on('line', (line) => {
+      recordLog({
+        source: 'process',
+        target: 'app process',
+        origin: stream,
+        type: stream,
+        level: stream === 'stderr' ? 'warn' : 'info',
+        message: line,
+        stack: null,
+        timestamp: Date.now()
+      });
+    });
+  }
+
+  child.on('error', (err) => {
+    console.error(`Failed to launch ${argv.launch}: ${err.message}`);
+    process.exit(1);
+  });
+
+  child.on('exit', (code, signal) => {
+    if (appProcess !== child) {
+      // Stopped by us
+      return;
+    }
+    appProcess = null;
+    const status = signal ? `signal ${signal}` : `code ${code}`;
+    if (argv.restartOnExit) {
+      injector.notify(`App exited with ${status}, restarting...`, 'process');
+      setTimeout(spawnApp, LAUNCH_RESTART_DELAY);
+    } else {
+      injector.notify(`App exited with ${status}, exiting`, 'process');
+      // A killed app exits like a shell reports it, 128 plus the signal number
+      process.exit(signal ? 128 + (os.constants.signals[signal] || 0) : code);
+    }
+  });
+
+  appProcess = child;
+  return child;
+}
+
+// Stop the --launch app, if it is running
+function stopApp() {
+  if (appProcess) {
+    const child = appProcess;
+    appProcess = null;
+    child.kill();
+  }
+}
+
+// Launch the --launch app on free ports and wait until its debugging port
+// answers, so connecting to it works right away
+async function launchApp() {
+  argv.port = injector.port = await findFreePort();
+  if (argv.launchInspect) {
+    argv.inspectPort = injector.inspectPort = await findFreePort();
+  }
+  console.log(`Launching ${argv.launch} with debugging port ${argv.port}${argv.launchInspect ? ` and inspector port ${argv.inspectPort}` : ''}...`);
+  spawnApp();
+
+  const deadline = Date.now() + LAUNCH_TIMEOUT;
+  for (;;) {
     try {
-      const selector = strategy();
-      if (selector && testSelector(element, selector)) {
-        return selector;
+      await CDP.Version({ port: argv.port });
+      return;
+    } catch (err) {
+      if (Date.now() > deadline) {
+        throw new Error(`The app didn't open debugging port ${argv.port} within ${LAUNCH_TIMEOUT / 1000} seconds`);
       }
-    } catch (e) {
-      console.warn('Selector strategy failed:', e);
     }
+    await sleep(250);
   }
-  
-  // Ultimate fallback: full path from body
+}
+
+// Build a predicate for network events from a URL regex and an HTTP method
+function networkFilter({ url, method, source } = {}) {
+  const urlRegex = url ? new RegExp(url) : null;
+  const upperMethod = method ? method.toUpperCase() : null;
+  return event =>
+    (!source || event.source === source) &&
+    (!urlRegex || urlRegex.test(event.url)) &&
+    (!upperMethod || event.method === upperMethod);
+}
+
+// One line summary of a network event for the REPL
+function formatNetworkEvent(event) {
+  const line = `${event.type} ${event.method} ${event.url}`;
+  switch (event.type) {
+    case 'response-complete':
+      return `${line} -> ${event.status} (${event.duration}ms)`;
+    case 'error':
+      return `${line} -> ${event.error}`;
+    case 'request-body':
+    case 'response-chunk':
+    case 'websocket-frame-sent':
+    case 'websocket-frame-received':
+    case 'eventsource-message': {
+      const payload = event.body ?? event.chunk ?? event.data;
+      const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      return `${line} ${text.length > 200 ? text.substring(0, 200) + '...' : text}`;
+    }
+    default:
+      return line;
+  }
+}
+
+// HAR recording. Builds HAR 1.2 files out of network events in the
+// monitorApiCall messageLog shape, so both the CDP network monitor and a
+// messageLog returned by monitorApiCall can be exported.
+// The recording in progress, if any
+let harRecording = null;
+
+// Convert a header object to the HAR name/value list
+function harHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+// Query parameters of a URL as a HAR list. monitorApiCall reports URLs the
+// way the page passed them to fetch, which may be relative.
+function harQueryString(url) {
   try {
-    let current = element;
-    const parts = [];
-    while (current && current !== document.body) {
-      const tag = current.tagName.toLowerCase();
-      const index = Array.from(current.parentElement.children).indexOf(current) + 1;
-      parts.unshift(tag + ':nth-child(' + index + ')');
-      current = current.parentElement;
-    }
-    parts.unshift('body');
-    return parts.join(' > ');
+    return [...new URL(url, 'http://localhost').searchParams].map(([name, value]) => ({ name, value }));
   } catch (e) {
-    // Last resort if everything fails
-    return element.tagName.toLowerCase() + ':nth-child(' + 
-      (Array.from(element.parentElement.children).indexOf(element) + 1) + ')';
+    return [];
+  }
+}
+
+// Serialize a parsed body back to text
+function bodyText(body) {
+  if (body === undefined || body === null) {
+    return '';
+  }
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+// Case-insensitive header lookup
+function headerValue(headers = {}, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+// Group network events into one HAR entry per request. Events without a
+// requestId (a monitorApiCall messageLog) are treated as a single request.
+function buildHar(events) {
+  const requests = new Map();
+  for (const event of events) {
+    const id = event.requestId || 'request';
+    if (!requests.has(id)) {
+      requests.set(id, []);
+    }
+    requests.get(id).push(event);
+  }
+
+  const entries = [];
+  for (const requestEvents of requests.values()) {
+    const start = requestEvents.find(event => event.type === 'request-start' || event.type === 'websocket-open');
+    if (!start) {
+      continue;
+    }
+    const body = requestEvents.find(event => event.type === 'request-body');
+    const complete = requestEvents.find(event => event.type === 'response-complete');
+    const failure = requestEvents.find(event => event.type === 'error');
+    const frames = requestEvents.filter(event => event.type.startsWith('websocket-frame-'));
+    const messages = requestEvents.filter(event => event.type === 'eventsource-message');
+    const last = requestEvents[requestEvents.length - 1];
+
+    const url = start.url;
+    const requestHeaders = start.headers || {};
+    const responseHeaders = (complete && complete.headers) || {};
+    const duration = complete ? complete.duration : last.timestamp - start.timestamp;
+    const responseText = complete ? bodyText(complete.body) : '';
+
+    const entry = {
+      startedDateTime: new Date(start.timestamp).toISOString(),
+      time: duration,
+      request: {
+        method: start.method,
+        url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(requestHeaders),
+        queryString: harQueryString(url),
+        headersSize: -1,
+        bodySize: body ? Buffer.byteLength(bodyText(body.body)) : 0
+      },
+      response: {
+        status: complete ? complete.status : 0,
+        statusText: (complete && complete.statusText) || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(responseHeaders),
+        content: {
+          size: complete && complete.base64Encoded ? Buffer.from(responseText, 'base64').length : Buffer.byteLength(responseText),
+          mimeType: (complete && complete.mimeType) || headerValue(responseHeaders, 'content-type') || 'x-unknown',
+          text: responseText
+        },
+        redirectURL: headerValue(responseHeaders, 'location') || '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: duration, receive: 0 }
+    };
+
+    if (body) {
+      entry.request.postData = {
+        mimeType: headerValue(requestHeaders, 'content-type') || 'application/octet-stream',
+        text: bodyText(body.body)
+      };
+    }
+    if (complete && complete.base64Encoded) {
+      entry.response.content.encoding = 'base64';
+    }
+    if (failure) {
+      entry.response._error = failure.error;
+    }
+    // Same custom field Chrome DevTools uses for WebSocket traffic
+    if (frames.length > 0) {
+      entry._webSocketMessages = frames.map(frame => ({
+        type: frame.type === 'websocket-frame-sent' ? 'send' : 'receive',
+        time: frame.timestamp / 1000,
+        opcode: frame.opcode,
+        data: bodyText(frame.data)
+      }));
+    }
+    if (messages.length > 0) {
+      entry._eventSourceMessages = messages.map(message => ({
+        time: message.timestamp / 1000,
+        eventName: message.event,
+        eventId: message.eventId,
+        data: bodyText(message.data)
+      }));
+    }
+
+    entries.push(entry);
+  }
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: toolName, version: toolVersion },
+      pages: [],
+      entries
+    }
+  };
+}
+
+// Start recording network events of all attached targets
+async function startHarRecording() {
+  if (harRecording) {
+    throw new Error('A HAR recording is already running');
+  }
+  await injector.monitor();
+  const events = [];
+  const listener = event => events.push(event);
+  injector.on('network', listener);
+  harRecording = { events, listener, startedAt: Date.now() };
+}
+
+// Stop the recording and return it as HAR, writing it to `file` if given
+function stopHarRecording(file) {
+  if (!harRecording) {
+    throw new Error('No HAR recording is running');
+  }
+  injector.removeListener('network', harRecording.listener);
+  const har = buildHar(harRecording.events);
+  harRecording = null;
+  if (file) {
+    fs.writeFileSync(path.resolve(file), JSON.stringify(har, null, 2));
+  }
+  return har;
+}
+
+// Short summary of each entry of a HAR file, for listing
+function summarizeHar(har) {
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error('Not a HAR file');
+  }
+  return har.log.entries.map((entry, index) => ({
+    index,
+    startedDateTime: entry.startedDateTime,
+    method: entry.request.method,
+    url: entry.request.url,
+    status: entry.response.status,
+    mimeType: entry.response.content.mimeType,
+    size: entry.response.content.size,
+    time: entry.time
+  }));
+}
+
+// Read a HAR file from disk
+function readHar(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+// Request interception. Rules match requests by URL regex and method and
+// apply one action through the CDP Fetch domain:
+//   fulfill - answer with `status`, `headers` and `body` (or a `file`)
+//   fail    - fail the request with a network `errorReason`
+//   delay   - hold the request for `delay` milliseconds, then let it through
+//   modify  - change `requestHeaders`, or the response `status`,
+//             `responseHeaders` and `json` fields (dotted path -> value)
+// Any rule can also set `delay` to add latency before its action.
+const MOCK_ACTIONS = ['fulfill', 'fail', 'delay', 'modify'];
+
+// Active rules, in match order
+const mockRules = [];
+let nextMockId = 1;
+
+// Content types for `file` bodies, by extension
+const MOCK_CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.txt': 'text/plain',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg'
+};
+
+// Whether a rule needs the response before it can act
+function isResponseRule(rule) {
+  return rule.action === 'modify' &&
+    (rule.status !== undefined || rule.responseHeaders !== undefined || rule.json !== undefined);
+}
+
+// Check a rule and add it to the active rules. `baseDir` resolves
+// relative `file` paths of rules loaded from a rules file.
+function addMockRule(rule, baseDir = process.cwd()) {
+  if (!rule || typeof rule.url !== 'string') {
+    throw new Error('A mock rule needs a "url" regex');
+  }
+  if (!MOCK_ACTIONS.includes(rule.action)) {
+    throw new Error(`Unknown mock action "${rule.action}", expected one of ${MOCK_ACTIONS.join(', ')}`);
+  }
+  // A rule acts at one stage, so it can't change the request and the response
+  if (rule.requestHeaders !== undefined && (rule.action !== 'modify' || isResponseRule(rule))) {
+    throw new Error('"requestHeaders" only goes with a modify rule that leaves the response alone, use a second rule for the response');
+  }
+
+  const id = rule.id !== undefined ? String(rule.id) : String(nextMockId++);
+  if (mockRules.some(existing => existing.id === id)) {
+    throw new Error(`A mock rule with id "${id}" already exists`);
+  }
+
+  const added = {
+    ...rule,
+    id,
+    urlRegex: new RegExp(rule.url),
+    method: rule.method ? rule.method.toUpperCase() : undefined,
+    file: rule.file ? path.resolve(baseDir, rule.file) : undefined
+  };
+  mockRules.push(added);
+  return added;
+}
+
+// Remove a rule by id
+function removeMockRule(id) {
+  const index = mockRules.findIndex(rule => rule.id === String(id));
+  if (index === -1) {
+    throw new Error(`No mock rule with id "${id}"`);
+  }
+  return mockRules.splice(index, 1)[0];
+}
+
+// Load rules from a JSON file holding an array of rules
+function loadMockRules(file) {
+  const filePath = path.resolve(file);
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error('A rules file must contain an array of rules');
+  }
+  return rules.map(rule => addMockRule(rule, path.dirname(filePath)));
+}
+
+// A rule without its compiled regex, for listing
+function describeMockRule({ urlRegex, ...rule }) {
+  return rule;
+}
+
+// First rule matching a paused request at the given stage
+function findMockRule(request, atResponse) {
+  return mockRules.find(rule =>
+    rule.urlRegex.test(request.url) &&
+    (!rule.method || rule.method === request.method) &&
+    isResponseRule(rule) === atResponse
+  );
+}
+
+// Merge header changes into a CDP header list; null values remove headers
+function mergeHeaders(headers, changes = {}) {
+  const merged = headers.filter(({ name }) =>
+    !Object.keys(changes).some(key => key.toLowerCase() === name.toLowerCase())
+  );
+  for (const [name, value] of Object.entries(changes)) {
+    if (value !== null) {
+      merged.push({ name, value: String(value) });
+    }
+  }
+  return merged;
+}
+
+// Set a dotted path such as "data.items.0.name" in an object
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let current = target;
+  for (const key of keys.slice(0, -1)) {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+}
+
+// Body of a fulfill rule, as a buffer
+function mockBody(rule) {
+  if (rule.file) {
+    return fs.readFileSync(rule.file);
   }
+  if (rule.body === undefined) {
+    return Buffer.alloc(0);
+  }
+  return Buffer.from(typeof rule.body === 'string' ? rule.body : JSON.stringify(rule.body));
+}
+
+// Apply the matching rule, if any, to a request paused by the Fetch domain
+async function handlePausedRequest(entry, params) {
+  const { Fetch } = entry.client;
+  const { requestId, request } = params;
+  const atResponse = params.responseStatusCode !== undefined || params.responseErrorReason !== undefined;
+  const rule = findMockRule(request, atResponse);
+
+  try {
+    if (!rule || (atResponse && params.responseErrorReason)) {
+      await Fetch.continueRequest({ requestId });
+      return;
+    }
+
+    printAbovePrompt(`[Mock] #${rule.id} ${rule.action} ${request.method} ${request.url}`);
+    injector.emit('mock', {
+      source: entry.source,
+      rule: rule.id,
+      action: rule.action,
+      url: request.url,
+      method: request.method,
+      timestamp: Date.now()
+    });
+
+    if (rule.delay) {
+      await sleep(rule.delay);
+    }
+
+    switch (rule.action) {
+      case 'fulfill': {
+        const headers = { ...rule.headers };
+        if (!headerValue(headers, 'content-type')) {
+          headers['Content-Type'] = rule.file
+            ? MOCK_CONTENT_TYPES[path.extname(rule.file)] || 'application/octet-stream'
+            : typeof rule.body === 'string' ? 'text/plain' : 'application/json';
+        }
+        await Fetch.fulfillRequest({
+          requestId,
+          responseCode: rule.status || 200,
+          responseHeaders: harHeaders(headers),
+          body: mockBody(rule).toString('base64')
+        });
+        break;
+      }
+      case 'fail':
+        await Fetch.failRequest({ requestId, errorReason: rule.errorReason || 'Failed' });
+        break;
+      case 'modify':
+        if (atResponse) {
+          let { body, base64Encoded } = await Fetch.getResponseBody({ requestId });
+          if (rule.json) {
+            const text = base64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body;
+            const data = JSON.parse(text);
+            for (const [dottedPath, value] of Object.entries(rule.json)) {
+              setPath(data, dottedPath, value);
+            }
+            body = Buffer.from(JSON.stringify(data)).toString('base64');
+          } else if (!base64Encoded) {
+            body = Buffer.from(body).toString('base64');
+          }
+          // The body may have changed length, let the browser recompute it
+          const headers = mergeHeaders(params.responseHeaders || [], { ...rule.responseHeaders, 'Content-Length': null });
+          await Fetch.fulfillRequest({
+            requestId,
+            responseCode: rule.status || params.responseStatusCode,
+            responseHeaders: headers,
+            body
+          });
+        } else {
+          await Fetch.continueRequest({
+            requestId,
+            headers: mergeHeaders(harHeaders(request.headers), rule.requestHeaders)
+          });
+        }
+        break;
+      default:
+        await Fetch.continueRequest({ requestId });
+    }
+  } catch (err) {
+    printAbovePrompt(`[Mock] Failed to apply rule to ${request.url}: ${err.message}`);
+    // Don't leave the request hanging
+    Fetch.continueRequest({ requestId }).catch(() => {});
+  }
+}
+
+// Enable, update or disable interception on a client to match the rules
+async function syncMockInterception(entry) {
+  const { Fetch } = entry.client;
+
+  if (mockRules.length === 0) {
+    if (entry.fetchEnabled) {
+      entry.fetchEnabled = false;
+      await Fetch.disable();
+    }
+    return;
+  }
+
+  if (!entry.fetchHandlerInstalled) {
+    entry.fetchHandlerInstalled = true;
+    Fetch.requestPaused(params => handlePausedRequest(entry, params));
+  }
+
+  // URL matching is done by our regexes, so pause everything at the stages
+  // the rules need. Calling enable again replaces the patterns.
+  const patterns = [{ urlPattern: '*', requestStage: 'Request' }];
+  if (mockRules.some(isResponseRule)) {
+    patterns.push({ urlPattern: '*', requestStage: 'Response' });
+  }
+  await Fetch.enable({ patterns });
+  entry.fetchEnabled = true;
+}
+
+// Apply the current rules to every attached target
+async function syncAllMockInterception() {
+  await Promise.all([...injector.clients.values()].map(syncMockInterception));
+}
+
+// Userscripts. Every .js file in the userscripts directory can start with a
+// Tampermonkey-like header:
+//   // ==UserScript==
+//   // @name      claude-helpers
+//   // @match     https://claude.ai/*
+//   // @run-at    document-idle     (or document-start)
+//   // @world     main              (or isolated)
+//   // @requires  dom-utils         (another script, injected first)
+//   // ==/UserScript==
+// Scripts run in every attached target whose URL matches one of their
+// @match patterns, on every page load. A script without @match only runs
+// where another script requires it.
+const USERSCRIPT_RUN_AT = ['document-start', 'document-idle'];
+const USERSCRIPT_WORLDS = ['main', 'isolated'];
+// Isolated world shared by all userscripts, apart from the page's own scripts
+const USERSCRIPT_WORLD_NAME = 'electron-userscripts';
+// How often we look for new windows a userscript should run in
+const USERSCRIPT_TARGET_POLL_INTERVAL = 2000;
+// Loaded scripts, in dependency order
+let userscripts = [];
+let userscriptsPoll = null;
+// Targets we're attaching to for userscripts, so polls don't attach twice
+const userscriptAttaching = new Set();
+
+// Turn an @match pattern with `*` wildcards into a regex
+function matchPatternToRegExp(pattern) {
+  if (pattern === '*' || pattern === '<all_urls>') {
+    return /^/;
+  }
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+// Parse a userscript file and its header
+function parseUserscript(file, source) {
+  const script = {
+    name: path.basename(file, '.js'),
+    file,
+    matches: [],
+    runAt: 'document-idle',
+    world: 'main',
+    requires: [],
+    source,
+    enabled: true
+  };
+
+  const header = /^\s*\/\/\s*==UserScript==\s*$([\s\S]*?)^\s*\/\/\s*==\/UserScript==\s*$/m.exec(source);
+  const lines = header ? header[1].split('\n') : [];
+  for (const line of lines) {
+    const meta = /^\s*\/\/\s*@([\w-]+)\s*(.*?)\s*$/.exec(line);
+    if (!meta) {
+      continue;
+    }
+    const [, key, value] = meta;
+    if (key === 'name') {
+      script.name = value;
+    } else if (key === 'match' || key === 'include') {
+      script.matches.push(value);
+    } else if (key === 'run-at') {
+      script.runAt = value;
+    } else if (key === 'world') {
+      script.world = value;
+    } else if (key === 'requires' || key === 'require') {
+      script.requires.push(...value.split(/[\s,]+/).filter(Boolean));
+    }
+  }
+
+  if (!USERSCRIPT_RUN_AT.includes(script.runAt)) {
+    throw new Error(`${file}: @run-at must be one of ${USERSCRIPT_RUN_AT.join(', ')}`);
+  }
+  if (!USERSCRIPT_WORLDS.includes(script.world)) {
+    throw new Error(`${file}: @world must be one of ${USERSCRIPT_WORLDS.join(', ')}`);
+  }
+  script.matchers = script.matches.map(matchPatternToRegExp);
+  return script;
+}
+
+// Find a script by @name or file name
+function findUserscript(name, scripts = userscripts) {
+  return scripts.find(script => script.name === name || path.basename(script.file) === name ||
+    path.basename(script.file, '.js') === name);
+}
+
+// (Re)load all scripts from the userscripts directory. Scripts keep their
+// enabled state across reloads; broken ones are reported and left out.
+function loadUserscripts() {
+  const dir = path.resolve(argv.userscripts);
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Failed to read userscripts: ${err.message}`);
+    }
+  }
+
+  const parsed = [];
+  for (const file of files) {
+    try {
+      const script = parseUserscript(path.join(dir, file), fs.readFileSync(path.join(dir, file), 'utf8'));
+      const previous = findUserscript(script.name);
+      script.enabled = previous ? previous.enabled : true;
+      parsed.push(script);
+    } catch (err) {
+      console.error(`Skipping userscript: ${err.message}`);
+    }
+  }
+
+  // Order the scripts so each comes after the scripts it requires
+  const ordered = [];
+  const visit = (script, chain) => {
+    if (ordered.includes(script)) {
+      return;
+    }
+    if (chain.includes(script)) {
+      throw new Error(`circular @requires: ${[...chain, script].map(s => s.name).join(' -> ')}`);
+    }
+    for (const name of script.requires) {
+      const required = findUserscript(name, parsed);
+      if (!required) {
+        throw new Error(`"${script.name}" requires unknown script "${name}"`);
+      }
+      visit(required, [...chain, script]);
+    }
+    ordered.push(script);
+  };
+  for (const script of parsed) {
+    try {
+      visit(script, []);
+    } catch (err) {
+      console.error(`Skipping userscript: ${err.message}`);
+    }
+  }
+
+  userscripts = ordered;
+  if (userscripts.length > 0 && !userscriptsPoll) {
+    userscriptsPoll = setInterval(attachUserscriptTargets, USERSCRIPT_TARGET_POLL_INTERVAL);
+    userscriptsPoll.unref();
+  }
+  return userscripts;
+}
+
+// URL patterns a script runs on: its own while enabled, plus those of the
+// scripts that require it
+function userscriptMatchers(script, seen = new Set([script])) {
+  const matchers = script.enabled ? [...script.matchers] : [];
+  for (const other of userscripts) {
+    if (!seen.has(other) && other.requires.some(name => findUserscript(name) === script)) {
+      seen.add(other);
+      matchers.push(...userscriptMatchers(other, seen));
+    }
+  }
+  return matchers;
+}
+
+// A script with a source URL, so DevTools shows it by file name
+function userscriptSource(script) {
+  return `${script.source}\n//# sourceURL=userscript:///${path.basename(script.file)}`;
+}
+
+// Have the browser run the document-start scripts on every new document of
+// a page, before the page's own scripts. The URL check happens in the page,
+// since the next URL isn't known yet.
+async function syncUserscriptRegistrations(entry) {
+  if (!entry.hasPage) {
+    return;
+  }
+  const { Page } = entry.client;
+  for (const identifier of entry.userscriptIds || []) {
+    await Page.removeScriptToEvaluateOnNewDocument({ identifier });
+  }
+  entry.userscriptIds = [];
+
+  for (const script of userscripts) {
+    const patterns = userscriptMatchers(script).map(regex => regex.source);
+    if (script.runAt !== 'document-start' || patterns.length === 0) {
+      continue;
+    }
+    const params = {
+      source: `if (${JSON.stringify(patterns)}.some(pattern => new RegExp(pattern).test(location.href))) {\n` +
+        `${userscriptSource(script)}\n}`
+    };
+    if (script.world === 'isolated') {
+      params.worldName = USERSCRIPT_WORLD_NAME;
+    }
+    const { identifier } = await Page.addScriptToEvaluateOnNewDocument(params);
+    entry.userscriptIds.push(identifier);
+  }
+}
+
+// Id of the isolated world the userscripts share in the current document of
+// a page. The world of the document-start scripts, or one an earlier run
+// created, is reused; a new one is only created if there is none yet.
+async function userscriptWorld(entry) {
+  const existing = [...entry.contexts.values()].find(context =>
+    context.name === USERSCRIPT_WORLD_NAME && context.frameId === entry.mainFrameId);
+  if (existing) {
+    return existing.id;
+  }
+  const { executionContextId } = await entry.client.Page.createIsolatedWorld({
+    frameId: entry.mainFrameId,
+    worldName: USERSCRIPT_WORLD_NAME
+  });
+  return executionContextId;
+}
+
+// A function resolving to the userscript world of a target, looked up or
+// created once however many scripts of a run ask for it
+function userscriptWorldOnce(entry) {
+  let world = null;
+  return () => (world = world || userscriptWorld(entry));
+}
+
+// Run a script in the current document of a target. world resolves to the
+// isolated world's id, shared by all scripts of the run.
+async function runUserscript(entry, script, world) {
+  const params = { expression: userscriptSource(script), returnByValue: true };
+  // Workers have no isolated worlds, their scripts run in the worker itself
+  if (script.world === 'isolated' && entry.hasPage) {
+    params.contextId = await world();
+  }
+
+  const { exceptionDetails } = await entry.Runtime.evaluate(params);
+  if (exceptionDetails) {
+    printAbovePrompt(`[Userscript] ${script.name} failed in "${targetLabel(entry.target)}": ${exceptionResult(exceptionDetails).error}`);
+  } else {
+    printAbovePrompt(`[Userscript] Injected ${script.name} into "${targetLabel(entry.target)}"`);
+  }
+}
+
+// URL of the document currently loaded in a target
+async function currentUrl(entry) {
+  if (!entry.hasPage) {
+    return entry.target.url;
+  }
+  const { result } = await entry.Runtime.evaluate({ expression: 'location.href', returnByValue: true });
+  return result.value;
+}
+
+// Run the scripts matching the target's current URL, all of them or only
+// those of one @run-at
+async function injectUserscripts(entry, runAt) {
+  if (userscripts.length === 0) {
+    return;
+  }
+  try {
+    const url = await currentUrl(entry);
+    const world = userscriptWorldOnce(entry);
+    for (const script of userscripts) {
+      if ((!runAt || script.runAt === runAt) && userscriptMatchers(script).some(regex => regex.test(url))) {
+        await runUserscript(entry, script, world);
+      }
+    }
+  } catch (err) {
+    printAbovePrompt(`[Userscript] Injection into "${targetLabel(entry.target)}" failed: ${err.message}`);
+  }
+}
+
+// Attach to every window whose URL a userscript matches, so scripts reach
+// targets other than the active one
+async function attachUserscriptTargets() {
+  // Leave the first connection and reconnects to connectToCDP
+  if (!injector.activeClient) {
+    return;
+  }
+  let targets;
+  try {
+    targets = await injector.listTargets();
+  } catch (err) {
+    return;
+  }
+  for (const target of targets) {
+    if (!PAGE_TARGET_TYPES.includes(target.type) || injector.clients.has(target.id) || userscriptAttaching.has(target.id)) {
+      continue;
+    }
+    if (!userscripts.some(script => userscriptMatchers(script).some(regex => regex.test(target.url)))) {
+      continue;
+    }
+    userscriptAttaching.add(target.id);
+    try {
+      await injector.attach(target, target.id);
+    } catch (err) {
+      printAbovePrompt(`[Userscript] Failed to attach to "${targetLabel(target)}": ${err.message}`);
+    } finally {
+      userscriptAttaching.delete(target.id);
+    }
+  }
+}
+
+// Re-register document-start scripts everywhere and pick up new targets
+// after scripts were reloaded, enabled or disabled
+async function syncAllUserscripts() {
+  await Promise.all([...injector.clients.values()].map(syncUserscriptRegistrations));
+  await attachUserscriptTargets();
+}
+
+// All scripts a script requires, directly or through other scripts
+function requiredUserscripts(script, found = new Set()) {
+  for (const name of script.requires) {
+    const required = findUserscript(name);
+    if (required && !found.has(required)) {
+      found.add(required);
+      requiredUserscripts(required, found);
+    }
+  }
+  return found;
+}
+
+// Enable or disable a script. Enabling runs it right away in the matching
+// targets; disabling only affects future page loads.
+async function setUserscriptEnabled(name, enabled) {
+  const script = findUserscript(name);
+  if (!script) {
+    throw new Error(`No userscript named "${name}"`);
+  }
+  script.enabled = enabled;
+  await syncAllUserscripts();
+  if (enabled) {
+    const required = requiredUserscripts(script);
+    const scripts = userscripts.filter(other => other === script || required.has(other));
+    for (const entry of injector.clients.values()) {
+      const url = await currentUrl(entry);
+      if (script.matchers.some(regex => regex.test(url))) {
+        const world = userscriptWorldOnce(entry);
+        for (const other of scripts) {
+          await runUserscript(entry, other, world);
+        }
+      }
+    }
+  }
+  return script;
+}
+
+// A script without its source and compiled patterns, for listing
+function describeUserscript({ name, file, matches, runAt, world, requires, enabled }) {
+  return { name, file, matches, runAt, world, requires, enabled };
+}
+
+// DOM observation. Observers run in the page through observeElements() and
+// report back through a CDP binding. They are set up again after every page
+// load, and their events go out as 'dom' events on injector.
+const OBSERVE_BINDING = '__electronObserve';
+// Active observations: id -> { id, selector, source, owner }
+const observations = new Map();
+let nextObservationId = 1;
+
+// Runs in the page: start an observer reporting to the binding, unless it
+// runs already
+function startPageObserver(id, selector, binding) {
+  globalThis.__electronObservers = globalThis.__electronObservers || {};
+  if (globalThis.__electronObservers[id]) {
+    return;
+  }
+  globalThis.__electronObservers[id] = observeElements(selector, event => {
+    globalThis[binding](JSON.stringify({ id, type: event.type, selector: event.selector, text: event.text }));
+  });
+}
+
+// Runs in the page: stop an observer
+function stopPageObserver(id) {
+  const stop = (globalThis.__electronObservers || {})[id];
+  if (stop) {
+    stop();
+    delete globalThis.__electronObservers[id];
+  }
+}
+
+// The DOM event in a payload of the observe binding, or null if it isn't
+// one. Page scripts can call the binding too, so nothing is taken on trust.
+function parseObservePayload(payload) {
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (e) {
+    return null;
+  }
+  if (event === null || typeof event !== 'object' || !Number.isInteger(event.id) ||
+    typeof event.type !== 'string' || typeof event.selector !== 'string') {
+    return null;
+  }
+  return {
+    id: event.id,
+    type: event.type,
+    selector: event.selector,
+    text: typeof event.text === 'string' ? event.text : undefined
+  };
+}
+
+// Set up the binding observers report through, once per target
+async function enableObserveBinding(entry) {
+  if (entry.observeBinding) {
+    return;
+  }
+  entry.observeBinding = true;
+  await entry.Runtime.addBinding({ name: OBSERVE_BINDING });
+  entry.Runtime.bindingCalled(({ name, payload }) => {
+    if (name !== OBSERVE_BINDING) {
+      return;
+    }
+    const event = parseObservePayload(payload);
+    const observation = event && observations.get(event.id);
+    if (observation) {
+      injector.emit('dom', {
+        source: entry.source,
+        observation: event.id,
+        observed: observation.selector,
+        type: event.type,
+        selector: event.selector,
+        text: event.text,
+        timestamp: Date.now()
+      });
+    }
+  });
+}
+
+// Start an observer in the page for one observation
+async function runPageObserver(entry, observation) {
+  const { exceptionDetails } = await entry.Runtime.evaluate({
+    expression: `(${startPageObserver.toString()})(${observation.id}, ${JSON.stringify(observation.selector)}, ${JSON.stringify(OBSERVE_BINDING)})`
+  });
+  if (exceptionDetails) {
+    throw new Error(exceptionResult(exceptionDetails).error);
+  }
+}
+
+// Observe elements matching a selector in a target. Elements already there
+// are reported as added, possibly before this resolves. `owner` tells
+// whose observation it is ('repl' or 'http').
+async function startObservation(entry, selector, owner) {
+  await enableObserveBinding(entry);
+  const observation = { id: nextObservationId++, selector, source: entry.source, owner };
+  observations.set(observation.id, observation);
+  try {
+    await runPageObserver(entry, observation);
+  } catch (err) {
+    observations.delete(observation.id);
+    throw err;
+  }
+  return observation;
+}
+
+// Stop an observation, in the page too if the target is still attached
+async function stopObservation(id) {
+  const observation = observations.get(Number(id));
+  if (!observation) {
+    throw new Error(`No observation #${id}`);
+  }
+  observations.delete(observation.id);
+  const entry = injector.clients.get(observation.source);
+  if (entry) {
+    await entry.Runtime.evaluate({ expression: `(${stopPageObserver.toString()})(${observation.id})` }).catch(() => {});
+  }
+  return observation;
+}
+
+// Start the target's observations again in a new document
+async function resumeObservations(entry) {
+  for (const observation of observations.values()) {
+    if (observation.source === entry.source) {
+      await runPageObserver(entry, observation).catch(err =>
+        printAbovePrompt(`[Observe] Failed to resume #${observation.id}: ${err.message}`));
+    }
+  }
+}
+
+// One line for a DOM event
+function formatDomEvent(event) {
+  const text = event.text ? ` ${JSON.stringify(event.text.length > 80 ? event.text.slice(0, 80) + '...' : event.text)}` : '';
+  return `#${event.observation} ${event.type} ${event.selector}${text}`;
+}
+
+// Hot reload. Watched files run in the active target whenever they change
+// on disk and after every page load. The teardown hooks the previous run
+// registered with onUnload() run first, so nothing is set up twice.
+const WATCH_INTERVAL = 300;
+// Absolute path -> { file, running }, where running chains the runs of a file
+const watchedFiles = new Map();
+
+// Run the teardown hooks of a watched file in a target
+async function unloadWatchedFile(entry, file) {
+  const { result, exceptionDetails } = await entry.Runtime.evaluate({
+    expression: `runUnloadHooks(${JSON.stringify(file)})`,
+    awaitPromise: true,
+    returnByValue: true
+  });
+  if (exceptionDetails) {
+    throw new Error(exceptionResult(exceptionDetails).error);
+  }
+  for (const error of result.value.errors) {
+    printAbovePrompt(`[Watch] onUnload hook of ${path.basename(file)} failed: ${error}`);
+  }
+  return result.value.count;
+}
+
+// Tear down the previous run of a watched file and run its current version
+async function runWatchedFile(entry, file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const hooks = await unloadWatchedFile(entry, file);
+
+  // onUnload() files hooks under the script that is running
+  await entry.Runtime.evaluate({ expression: `globalThis.__loadingScript = ${JSON.stringify(file)}` });
+  try {
+    // replMode lets the new version redeclare its top-level let and const
+    const { exceptionDetails } = await entry.Runtime.evaluate({
+      expression: `${source}\n//# sourceURL=${pathToFileURL(file)}`,
+      replMode: true,
+      awaitPromise: true
+    });
+    if (exceptionDetails) {
+      printAbovePrompt(`[Watch] ${path.basename(file)} failed: ${exceptionResult(exceptionDetails).error}`);
+      return;
+    }
+  } finally {
+    await entry.Runtime.evaluate({ expression: 'globalThis.__loadingScript = null' });
+  }
+  const unloaded = hooks > 0 ? ` after ${hooks} onUnload hook${hooks === 1 ? '' : 's'}` : '';
+  printAbovePrompt(`[Watch] Ran ${path.basename(file)} in "${targetLabel(entry.target)}"${unloaded}`);
+}
+
+// Queue a run of a watched file, so quick saves don't overlap
+function queueWatchedFile(watch, entry) {
+  watch.running = watch.running
+    .then(async () => runWatchedFile(entry || await injector.connect(), watch.file))
+    .catch(err => printAbovePrompt(`[Watch] Failed to run ${path.basename(watch.file)}: ${err.message}`));
+  return watch.running;
+}
+
+// Run all watched files in a target, after its page has loaded again
+function runWatchedFiles(entry) {
+  return Promise.all([...watchedFiles.values()].map(watch => queueWatchedFile(watch, entry)));
+}
+
+// Run a file now and again whenever it changes
+async function watchFile(file) {
+  const filePath = path.resolve(file);
+  if (watchedFiles.has(filePath)) {
+    throw new Error(`Already watching ${file}`);
+  }
+  fs.accessSync(filePath, fs.constants.R_OK);
+
+  const watch = { file: filePath, running: Promise.resolve() };
+  watchedFiles.set(filePath, watch);
+  fs.watchFile(filePath, { interval: WATCH_INTERVAL }, (current, previous) => {
+    // A zero mtime means the file is gone, editors may be replacing it
+    if (current.mtimeMs !== previous.mtimeMs && current.mtimeMs !== 0) {
+      queueWatchedFile(watch);
+    }
+  });
+  await queueWatchedFile(watch);
+}
+
+// Stop watching a file and undo its last run
+async function unwatchFile(file) {
+  const filePath = path.resolve(file);
+  const watch = watchedFiles.get(filePath);
+  if (!watch) {
+    throw new Error(`Not watching ${file}`);
+  }
+  fs.unwatchFile(filePath);
+  watchedFiles.delete(filePath);
+  await watch.running;
+  return unloadWatchedFile(await injector.connect(), filePath);
+}
+
+// Trusted input. Clicks, typing and key presses are dispatched through the
+// CDP Input domain, so the page sees them as real user input
+// (isTrusted = true), unlike the events typeString and hitEnter dispatch.
+
+// Modifier keys, with their CDP modifier bit
+const MODIFIER_KEYS = {
+  Alt: { bit: 1, key: 'Alt', code: 'AltLeft', keyCode: 18 },
+  Control: { bit: 2, key: 'Control', code: 'ControlLeft', keyCode: 17 },
+  Meta: { bit: 4, key: 'Meta', code: 'MetaLeft', keyCode: 91 },
+  Shift: { bit: 8, key: 'Shift', code: 'ShiftLeft', keyCode: 16 }
+};
+
+// Aliases accepted in key combos such as "Ctrl+Shift+K"
+const MODIFIER_ALIASES = { Ctrl: 'Control', Cmd: 'Meta', Command: 'Meta', Option: 'Alt' };
+
+// Named keys: key code and the text they insert, if any
+const NAMED_KEYS = {
+  Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+  Tab: { code: 'Tab', keyCode: 9 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Space: { key: ' ', code: 'Space', keyCode: 32, text: ' ' },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 }
+};
+
+// Symbol keys of the US keyboard layout: the character they type with
+// Shift, and their key code
+const SYMBOL_KEYS = {
+  '`': { shifted: '~', code: 'Backquote', keyCode: 192 },
+  '-': { shifted: '_', code: 'Minus', keyCode: 189 },
+  '=': { shifted: '+', code: 'Equal', keyCode: 187 },
+  '[': { shifted: '{', code: 'BracketLeft', keyCode: 219 },
+  ']': { shifted: '}', code: 'BracketRight', keyCode: 221 },
+  '\\': { shifted: '|', code: 'Backslash', keyCode: 220 },
+  ';': { shifted: ':', code: 'Semicolon', keyCode: 186 },
+  "'": { shifted: '"', code: 'Quote', keyCode: 222 },
+  ',': { shifted: '<', code: 'Comma', keyCode: 188 },
+  '.': { shifted: '>', code: 'Period', keyCode: 190 },
+  '/': { shifted: '?', code: 'Slash', keyCode: 191 }
+};
+
+// What the digit keys 0-9 type with Shift on the US layout
+const SHIFTED_DIGITS = ')!@#$%^&*(';
+
+// Key definition for a key name, a single character or F1-F12. With
+// `shift`, characters are the ones the key types with Shift held, as on a
+// US keyboard: "a" types "A", "1" types "!".
+function keyDefinition(name, shift = false) {
+  if (NAMED_KEYS[name]) {
+    return { key: name, ...NAMED_KEYS[name] };
+  }
+  if (/^F([1-9]|1[0-2])$/.test(name)) {
+    return { key: name, code: name, keyCode: 111 + Number(name.slice(1)) };
+  }
+  if (name.length === 1) {
+    const upper = name.toUpperCase();
+    if (/[A-Z]/.test(upper)) {
+      const text = shift ? upper : name;
+      return { key: text, code: `Key${upper}`, keyCode: upper.charCodeAt(0), text };
+    }
+    if (/[0-9]/.test(name)) {
+      const text = shift ? SHIFTED_DIGITS[name] : name;
+      return { key: text, code: `Digit${name}`, keyCode: name.charCodeAt(0), text };
+    }
+    if (SYMBOL_KEYS[name]) {
+      const { shifted, code, keyCode } = SYMBOL_KEYS[name];
+      const text = shift ? shifted : name;
+      return { key: text, code, keyCode, text };
+    }
+    return { key: name, code: '', keyCode: 0, text: name };
+  }
+  throw new Error(`Unknown key "${name}"`);
+}
+
+// Runs in the page: scroll an element into view and return its box, with
+// its center in viewport coordinates and its corner in page coordinates
+function elementBox(selector) {
+  // Deep selectors (with >>>) reach into shadow roots and iframes
+  const element = typeof querySelectorDeep === 'function'
+    ? querySelectorDeep(selector)
+    : document.querySelector(selector);
+  if (!element) {
+    return null;
+  }
+  element.scrollIntoView({ block: 'center', inline: 'center' });
+  const rect = element.getBoundingClientRect();
+
+  // Boxes inside iframes are relative to the frame's viewport
+  let offsetX = 0;
+  let offsetY = 0;
+  for (let view = element.ownerDocument.defaultView; view.frameElement; view = view.parent) {
+    const frameRect = view.frameElement.getBoundingClientRect();
+    offsetX += frameRect.left + view.frameElement.clientLeft;
+    offsetY += frameRect.top + view.frameElement.clientTop;
+  }
+
+  return {
+    x: offsetX + rect.left + rect.width / 2,
+    y: offsetY + rect.top + rect.height / 2,
+    left: offsetX + rect.left + window.scrollX,
+    top: offsetY + rect.top + window.scrollY,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+// Find an element and return the viewport coordinates of its center
+async function resolveElementBox(entry, selector) {
+  const { result, exceptionDetails } = await entry.Runtime.evaluate({
+    expression: `(${elementBox.toString()})(${JSON.stringify(selector)})`,
+    returnByValue: true
+  });
+  if (exceptionDetails) {
+    throw new Error(exceptionDetails.exception?.description || exceptionDetails.text);
+  }
+  if (!result.value) {
+    throw new Error(`No element matches "${selector}"`);
+  }
+  if (result.value.width === 0 && result.value.height === 0) {
+    throw new Error(`Element "${selector}" is not visible`);
+  }
+  return result.value;
+}
+
+// Click the center of the element matching a selector
+async function clickElement(entry, selector, { button = 'left', clickCount = 1 } = {}) {
+  const { Input } = entry.client;
+  const { x, y } = await resolveElementBox(entry, selector);
+  await Input.dispatchMouseEvent({ type: 'mouseMoved', x, y });
+  await Input.dispatchMouseEvent({ type: 'mousePressed', x, y, button, clickCount });
+  await Input.dispatchMouseEvent({ type: 'mouseReleased', x, y, button, clickCount });
+  return { x, y };
+}
+
+// Type text into the focused element, optionally clicking a selector first.
+// With a `delay`, the text is inserted one character at a time.
+async function typeText(entry, text, { selector, delay = 0 } = {}) {
+  const { Input } = entry.client;
+  if (selector) {
+    await clickElement(entry, selector);
+  }
+  if (delay > 0) {
+    for (const char of text) {
+      await Input.insertText({ text: char });
+      await sleep(delay);
+    }
+  } else {
+    await Input.insertText({ text });
+  }
+}
+
+// Split a key combo into its modifiers and the main key. A trailing "+" is
+// the main key itself, as in "+" or "Control++".
+function parseKeyCombo(combo) {
+  const keyName = combo.endsWith('+') ? '+' : combo.slice(combo.lastIndexOf('+') + 1);
+  const prefix = combo.slice(0, combo.length - keyName.length).replace(/\+$/, '');
+  const modifiers = (prefix ? prefix.split('+') : []).map(part => {
+    const name = MODIFIER_ALIASES[part] || part;
+    if (!MODIFIER_KEYS[name]) {
+      throw new Error(`Unknown modifier "${name}"`);
+    }
+    return MODIFIER_KEYS[name];
+  });
+  return { modifiers, keyName };
+}
+
+// Press a key combo such as "Enter", "Control+A" or "Meta+Shift+Z"
+async function pressKeys(entry, combo) {
+  const { Input } = entry.client;
+  const { modifiers, keyName } = parseKeyCombo(combo);
+  const mainKey = keyDefinition(keyName, modifiers.includes(MODIFIER_KEYS.Shift));
+
+  let modifierBits = 0;
+  for (const modifier of modifiers) {
+    modifierBits |= modifier.bit;
+    await Input.dispatchKeyEvent({
+      type: 'rawKeyDown',
+      modifiers: modifierBits,
+      key: modifier.key,
+      code: modifier.code,
+      windowsVirtualKeyCode: modifier.keyCode
+    });
+  }
+
+  // Shortcuts with Control, Alt or Meta don't insert text
+  const text = modifierBits & ~MODIFIER_KEYS.Shift.bit ? undefined : mainKey.text;
+  const keyEvent = {
+    modifiers: modifierBits,
+    key: mainKey.key,
+    code: mainKey.code,
+    windowsVirtualKeyCode: mainKey.keyCode
+  };
+  await Input.dispatchKeyEvent({ type: text ? 'keyDown' : 'rawKeyDown', text, unmodifiedText: text, ...keyEvent });
+  await Input.dispatchKeyEvent({ type: 'keyUp', ...keyEvent });
+
+  for (const modifier of modifiers.reverse()) {
+    modifierBits &= ~modifier.bit;
+    await Input.dispatchKeyEvent({
+      type: 'keyUp',
+      modifiers: modifierBits,
+      key: modifier.key,
+      code: modifier.code,
+      windowsVirtualKeyCode: modifier.keyCode
+    });
+  }
+}
+
+// Scroll with the mouse wheel, over an element or the middle of the window
+async function scrollBy(entry, { deltaX = 0, deltaY = 0, selector } = {}) {
+  const { Input } = entry.client;
+  let x;
+  let y;
+  if (selector) {
+    ({ x, y } = await resolveElementBox(entry, selector));
+  } else {
+    const { result } = await entry.Runtime.evaluate({
+      expression: '({ x: window.innerWidth / 2, y: window.innerHeight / 2 })',
+      returnByValue: true
+    });
+    ({ x, y } = result.value);
+  }
+  await Input.dispatchMouseEvent({ type: 'mouseWheel', x, y, deltaX, deltaY });
+}
+
+// Run one input action: { action: 'click' | 'type' | 'press' | 'scroll', ... }
+async function performAction(entry, step) {
+  switch (step.action) {
+    case 'click':
+      if (!step.selector) {
+        throw new Error('click needs a selector');
+      }
+      return clickElement(entry, step.selector, step);
+    case 'type':
+      if (typeof step.text !== 'string') {
+        throw new Error('type needs a text');
+      }
+      return typeText(entry, step.text, step);
+    case 'press':
+      if (!step.keys) {
+        throw new Error('press needs keys');
+      }
+      return pressKeys(entry, step.keys);
+    case 'scroll':
+      return scrollBy(entry, step);
+    default:
+      throw new Error(`Unknown action "${step.action}"`);
+  }
+}
+
+// Image formats Page.captureScreenshot supports, by file extension
+const SCREENSHOT_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg' };
+
+// How long to let highlightElements fade in before capturing
+const HIGHLIGHT_SETTLE_DELAY = 600;
+
+// Capture the window, the whole page or one element as a PNG or JPEG buffer
+async function captureScreenshot(entry, { selector, format = 'png', quality, fullPage = false, highlight = false } = {}) {
+  const { Page } = entry.client;
+  if (!Page || !entry.hasPage) {
+    throw new Error('The target has no page to capture');
+  }
+  if (!Object.values(SCREENSHOT_FORMATS).includes(format)) {
+    throw new Error(`Unknown format "${format}", expected png or jpeg`);
+  }
+
+  const params = { format };
+  if (format === 'jpeg' && quality !== undefined) {
+    params.quality = Number(quality);
+  }
+
+  if (selector) {
+    const box = await resolveElementBox(entry, selector);
+    params.clip = { x: box.left, y: box.top, width: box.width, height: box.height, scale: 1 };
+    params.captureBeyondViewport = true;
+  } else if (fullPage) {
+    const { cssContentSize, contentSize } = await Page.getLayoutMetrics();
+    const size = cssContentSize || contentSize;
+    params.clip = { x: 0, y: 0, width: size.width, height: size.height, scale: 1 };
+    params.captureBeyondViewport = true;
+  }
+
+  if (highlight && selector) {
+    await entry.Runtime.evaluate({
+      expression: `highlightElements([querySelectorDeep(${JSON.stringify(selector)})], ${HIGHLIGHT_SETTLE_DELAY + 1000})`
+    });
+    await sleep(HIGHLIGHT_SETTLE_DELAY);
+  }
+
+  const { data } = await Page.captureScreenshot(params);
+  return Buffer.from(data, 'base64');
+}
+
+// Endpoint for immediate execution
+app.post('/execute', async (req, res) => {
+  try {
+    const { code, target, context = 'renderer', contextId, depth, replMode } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'No code provided' });
+    }
+    if (!EXECUTION_CONTEXTS.includes(context)) {
+      return res.status(400).json({ error: `Unknown context "${context}"` });
+    }
+
+    const result = await injector.evaluate(code, { target, context, contextId, depth, replMode });
+    res.json({ result });
+  } catch (error) {
+    console.error('Error executing code:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoint streaming network traffic as Server-Sent Events, in the
+// monitorApiCall messageLog shape. Optional `url` (regex), `method` and
+// `target` query parameters narrow it down.
+app.get('/network', async (req, res) => {
+  const { url, method, target } = req.query;
+
+  let filter;
+  try {
+    await injector.monitor();
+    const source = target ? (await injector.connect(target)).source : null;
+    filter = networkFilter({ url, method, source });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const onNetwork = (event) => {
+    if (filter(event)) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+  injector.on('network', onNetwork);
+  res.on('close', () => {
+    injector.removeListener('network', onNetwork);
+  });
+});
+
+// Endpoint for recorded console output, exceptions and log entries. Query
+// parameters: `level` (least severe level), `grep` (case-insensitive regex),
+// `target` (or 'main'), `since` (only entries with a larger id) and `tail`
+// (only the last n). With `follow` the matching entries are streamed as
+// Server-Sent Events, followed by new ones as they come in.
+app.get('/logs', async (req, res) => {
+  const { level, grep, target, since, tail, follow } = req.query;
+
+  let filter;
+  try {
+    const source = !target ? null : ['main', 'process'].includes(target) ? target : (await injector.connect(target)).source;
+    filter = logFilter({ level, grep, source });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  let logs = logBuffer.filter(record => record.id > (Number(since) || 0) && filter(record));
+  if (tail) {
+    logs = logs.slice(-Number(tail));
+  }
+
+  if (follow !== 'true' && follow !== '1') {
+    return res.json({ logs });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const send = record => res.write(`data: ${JSON.stringify(record)}\n\n`);
+  logs.forEach(send);
+  const onLog = (record) => {
+    if (filter(record)) {
+      send(record);
+    }
+  };
+  injector.on('log', onLog);
+  res.on('close', () => {
+    injector.removeListener('log', onLog);
+  });
+});
+
+// Endpoints for HAR recording: start, stop (returns the HAR and writes it
+// to `file` if given), conversion of a monitorApiCall messageLog, and import
+// of a HAR file or document for inspection
+app.post('/har/start', async (req, res) => {
+  try {
+    await startHarRecording();
+    res.json({ recording: true });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/har/stop', (req, res) => {
+  try {
+    res.json(stopHarRecording(req.body.file));
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+app.post('/har', (req, res) => {
+  const { messageLog } = req.body;
+  if (!Array.isArray(messageLog)) {
+    return res.status(400).json({ error: 'No messageLog provided' });
+  }
+  res.json(buildHar(messageLog));
+});
+
+app.post('/har/import', (req, res) => {
+  try {
+    const { file, har, index } = req.body;
+    const document = file ? readHar(file) : har;
+    const entries = summarizeHar(document);
+    if (index !== undefined) {
+      const entry = document.log.entries[index];
+      return entry ? res.json(entry) : res.status(404).json({ error: `No entry ${index}` });
+    }
+    res.json({ entries });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Endpoints managing the request interception rules
+app.get('/mocks', (req, res) => {
+  res.json({ rules: mockRules.map(describeMockRule) });
+});
+
+app.post('/mocks', async (req, res) => {
+  try {
+    const rules = Array.isArray(req.body) ? req.body : [req.body];
+    const added = rules.map(rule => addMockRule(rule));
+    await syncAllMockInterception();
+    res.json({ rules: added.map(describeMockRule) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/mocks/:id', async (req, res) => {
+  try {
+    const removed = removeMockRule(req.params.id);
+    await syncAllMockInterception();
+    res.json({ rule: describeMockRule(removed) });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.delete('/mocks', async (req, res) => {
+  try {
+    mockRules.length = 0;
+    await syncAllMockInterception();
+    res.json({ rules: [] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoints for the userscripts
+app.get('/scripts', (req, res) => {
+  res.json({ scripts: userscripts.map(describeUserscript) });
+});
+
+app.post('/scripts/reload', async (req, res) => {
+  try {
+    loadUserscripts();
+    await syncAllUserscripts();
+    res.json({ scripts: userscripts.map(describeUserscript) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/scripts/:name/:action(enable|disable)', async (req, res) => {
+  try {
+    const script = await setUserscriptEnabled(req.params.name, req.params.action === 'enable');
+    res.json({ script: describeUserscript(script) });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Endpoint streaming DOM changes as Server-Sent Events: elements matching
+// `selector` that are added, removed or whose text changes, each with a
+// generated selector. Elements already there come first, as added. The
+// observation ends when the client disconnects. Optional `target`.
+app.get('/observe', async (req, res) => {
+  const { selector, target } = req.query;
+  if (!selector) {
+    return res.status(400).json({ error: 'No selector provided' });
+  }
+
+  let observation;
+  const pending = [];
+  const onDom = (event) => {
+    if (!observation) {
+      pending.push(event);
+    } else if (event.observation === observation.id) {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+  // Listen first, the elements already there are reported right away
+  injector.on('dom', onDom);
+  // Stop the observation when the client leaves, also if that happens while
+  // it is still starting
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    injector.removeListener('dom', onDom);
+    if (observation) {
+      stopObservation(observation.id).catch(() => {});
+    }
+  });
+  try {
+    observation = await startObservation(await injector.connect(target), selector, 'http');
+  } catch (error) {
+    injector.removeListener('dom', onDom);
+    return res.status(400).json({ error: error.message });
+  }
+  if (closed) {
+    await stopObservation(observation.id).catch(() => {});
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  pending.forEach(onDom);
+});
+
+// Endpoint for trusted input actions. Takes one action or an array of them,
+// run in order:
+//   { action: 'click', selector, button?, clickCount? }
+//   { action: 'type', text, selector?, delay? }
+//   { action: 'press', keys }            e.g. "Enter" or "Control+A"
+//   { action: 'scroll', deltaX?, deltaY?, selector? }
+// A top-level `target` picks the target, as for /execute.
+app.post('/actions', async (req, res) => {
+  const steps = Array.isArray(req.body.actions) ? req.body.actions : [req.body];
+  try {
+    const entry = await injector.connect(req.body.target);
+    const results = [];
+    for (const step of steps) {
+      results.push((await performAction(entry, step)) || null);
+    }
+    res.json({ results });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Endpoint returning a screenshot of the target. Query parameters:
+// `selector` to capture one element, `fullPage`, `format` (png or jpeg),
+// `quality` for JPEG, `highlight` to highlight the element first, `target`.
+app.get('/screenshot', async (req, res) => {
+  const { selector, format = 'png', quality, fullPage, highlight, target } = req.query;
+  try {
+    const entry = await injector.connect(target);
+    const image = await captureScreenshot(entry, {
+      selector,
+      format,
+      quality,
+      fullPage: fullPage === 'true' || fullPage === '1',
+      highlight: highlight === 'true' || highlight === '1'
+    });
+    res.type(format === 'jpeg' ? 'image/jpeg' : 'image/png').send(image);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Endpoint reporting whether we are connected to the app, for process
+// managers and the `repl` client. Answers 503 while waiting for it.
+app.get('/health', (req, res) => {
+  const status = injector.activeClient ? 'connected' : injector.reconnecting ? 'waiting' : 'disconnected';
+  res.status(injector.activeClient ? 200 : 503).json({
+    status,
+    target: injector.activeClient ? {
+      id: injector.activeClient.target.id,
+      type: injector.activeClient.target.type,
+      title: injector.activeClient.target.title,
+      url: injector.activeClient.target.url
+    } : null,
+    attached: injector.clients.size,
+    main: !!injector.mainClient,
+    port: argv.port,
+    uptime: Math.round(process.uptime()),
+    version: toolVersion
+  });
+});
+
+// Endpoint listing all debuggable targets
+app.get('/targets', async (req, res) => {
+  try {
+    const targets = await injector.listTargets();
+    res.json({
+      targets: targets.map(target => ({
+        id: target.id,
+        type: target.type,
+        title: target.title,
+        url: target.url,
+        active: !!injector.activeClient && injector.activeClient.target.id === target.id
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing targets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoint listing the execution contexts of a target (`target` query
+// parameter, default the active one)
+app.get('/contexts', async (req, res) => {
+  try {
+    const entry = await injector.connect(req.query.target);
+    const selected = entry.contextSelection ? selectedContextId(entry) : null;
+    res.json({
+      contexts: [...entry.contexts.values()].map(context => ({
+        ...context,
+        selected: selected === null ? context.isDefault && context.frameId === entry.mainFrameId : context.id === selected
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoint for streaming execution. Streams console output and exceptions
+// from the target while the code runs, then the result. `linger` keeps the
+// stream open for that many milliseconds after the result.
+app.post('/execute/stream', async (req, res) => {
+  const { code, target, context = 'renderer', contextId, linger = 0, depth } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: 'No code provided' });
+  }
+  if (!EXECUTION_CONTEXTS.includes(context)) {
+    return res.status(400).json({ error: `Unknown context "${context}"` });
+  }
+
+  let entry;
+  try {
+    entry = await injector.clientFor({ target, context });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  // Set headers for SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  let closed = false;
+  const send = (message) => {
+    if (!closed) {
+      res.write(`data: ${JSON.stringify(message)}\n\n`);
+    }
+  };
+
+  // Only forward events from the client the code runs on
+  const onConsole = (event) => {
+    if (event.source === entry.source) {
+      send({ type: 'console', level: event.level, message: event.message });
+    }
+  };
+  const onException = (event) => {
+    if (event.source === entry.source) {
+      send({ type: 'exception', message: event.message, stack: event.stack });
+    }
+  };
+
+  const cleanup = () => {
+    closed = true;
+    injector.removeListener('console', onConsole);
+    injector.removeListener('exception', onException);
+  };
+
+  injector.on('console', onConsole);
+  injector.on('exception', onException);
+  res.on('close', cleanup);
+
+  try {
+    const result = await injector.evaluate(code, { client: entry, context, contextId, depth });
+    send({ type: 'result', data: result });
+    if (linger > 0) {
+      await new Promise(resolve => setTimeout(resolve, linger));
+    }
+    send({ type: 'done' });
+  } catch (error) {
+    console.error('Error executing code:', error);
+    send({ type: 'error', message: error.message });
+  } finally {
+    cleanup();
+    res.end();
+  }
+});
+
+// Unix socket the server listens on, removed again on exit
+let listeningSocket = null;
+
+// Headless mode: serve the API only, wait until the app shows up, then do
+// what the REPL would do at startup
+async function startDaemon() {
+  console.log('Running without a REPL, waiting for the Electron app...');
+  await injector.reconnect();
+
+  if (argv.inspectPort) {
+    try {
+      await injector.connectToMain();
+    } catch (err) {
+      // Already reported, the renderer still works
+    }
+  }
+
+  for (const file of argv.watch || []) {
+    try {
+      await watchFile(file);
+    } catch (err) {
+      console.error(`Failed to watch ${file}: ${err.message}`);
+    }
+  }
+}
+
+// Serve the HTTP API and the WebSocket channel, and start the REPL or, with
+// --daemon, wait for the app in the background
+function startServer() {
+  // Load the mocking rules given on the command line
+  if (argv.mocks) {
+    try {
+      const rules = loadMockRules(argv.mocks);
+      console.log(`Loaded ${rules.length} mock rules from ${argv.mocks}`);
+    } catch (err) {
+      console.error(`Failed to load mock rules: ${err.message}`);
+    }
+  }
+
+  if (argv.logFile) {
+    logStream = fs.createWriteStream(path.resolve(argv.logFile), { flags: 'a' });
+    logStream.on('error', (err) => {
+      console.error(`Failed to write log file: ${err.message}`);
+      logStream = null;
+    });
+  }
+
+  loadUserscripts();
+  if (userscripts.length > 0) {
+    console.log(`Loaded ${userscripts.length} userscripts from ${path.resolve(argv.userscripts)}`);
+  }
+
+  // Start the Express server, on a Unix socket only its owner can use if
+  // --socket is given
+  const serverPort = argv.serverPort;
+  const socketPath = argv.socket ? path.resolve(argv.socket) : null;
+  if (socketPath && fs.existsSync(socketPath) && fs.statSync(socketPath).isSocket()) {
+    // Left behind by a previous run
+    fs.unlinkSync(socketPath);
+  }
+  // The socket is created owner-only rather than made so after the fact, so
+  // no one else can connect in between. listen() binds it synchronously.
+  const previousUmask = socketPath ? process.umask(0o177) : null;
+  const server = app.listen(...(socketPath ? [socketPath] : [serverPort, argv.host]), () => {
+    if (socketPath) {
+      listeningSocket = socketPath;
+      console.log(`Server listening on ${socketPath}`);
+    } else {
+      console.log(`Server listening on http://${argv.host}:${serverPort}`);
+    }
+    console.log(argv.token ? 'API token: given with --token' : `API token: ${apiToken}`);
+    console.log(`Targeting Electron app on debugging port ${argv.port}`);
+
+    if (argv.daemon || !argv.repl) {
+      startDaemon();
+      return;
+    }
+
+    // If a script was provided, execute it
+    if (argv.script) {
+      const scriptPath = path.resolve(argv.script);
+      console.log(`Executing script: ${scriptPath}`);
+    
+      try {
+        const scriptContent = fs.readFileSync(scriptPath, 'utf8');
+        injector.connect()
+          .then(entry => {
+            // The load event of the current document must not run it again
+            entry.startupScriptRan = true;
+            return injector.evaluate(scriptContent, { client: entry });
+          })
+          .then(result => {
+            if (result !== undefined) {
+              console.log('Script execution result:', result);
+            }
+            startREPL();
+          })
+          .catch(err => {
+            console.error('Script execution failed:', err);
+            startREPL();
+          });
+      } catch (err) {
+        console.error(`Failed to read script file: ${err.message}`);
+        startREPL();
+      }
+    } else {
+      // Start the REPL interface
+      startREPL();
+    }
+  });
+
+  if (previousUmask !== null) {
+    process.umask(previousUmask);
+  }
+
+  attachWebSocketServer(server);
+}
+
+// WebSocket execution channel. Clients send
+//   { id, code, target?, context?, contextId?, depth?, replMode? }
+// and get back { id, type: 'result', result } for each evaluation, plus
+// live { type: 'console' | 'exception' | 'connection', source, ... } events.
+// Connections need the API token, and browsers an allowed origin.
+function attachWebSocketServer(server) {
+  const wss = new WebSocket.Server({
+    server,
+    path: '/ws',
+    verifyClient: ({ origin, req }) => (!origin || corsOrigins.has(origin)) && hasValidToken(req)
+  });
+
+  wss.on('connection', (ws) => {
+    const send = (message) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    };
+
+    const forwarders = {
+      console: event => send({ type: 'console', ...event }),
+      exception: event => send({ type: 'exception', ...event }),
+      connection: event => send({ type: 'connection', ...event })
+    };
+    for (const [name, handler] of Object.entries(forwarders)) {
+      injector.on(name, handler);
+    }
+
+    ws.on('message', async (data) => {
+      let request;
+      try {
+        request = JSON.parse(data);
+      } catch (e) {
+        send({ type: 'error', error: 'Invalid JSON' });
+        return;
+      }
+      if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+        send({ type: 'error', error: 'Expected a JSON object' });
+        return;
+      }
+
+      const { id, code, target, context = 'renderer', contextId, depth, replMode } = request;
+      try {
+        if (!code) {
+          send({ id, type: 'error', error: 'No code provided' });
+          return;
+        }
+        if (!EXECUTION_CONTEXTS.includes(context)) {
+          send({ id, type: 'error', error: `Unknown context "${context}"` });
+          return;
+        }
+
+        const result = await injector.evaluate(code, { target, context, contextId, depth, replMode });
+        send({ id, type: 'result', result });
+      } catch (err) {
+        send({ id, type: 'error', error: err.message });
+      }
+    });
+
+    ws.on('close', () => {
+      for (const [name, handler] of Object.entries(forwarders)) {
+        injector.removeListener(name, handler);
+      }
+    });
+  });
+}
+
+// Make rl globally accessible for console events
+let rl;
+
+// Listener printing network events for `.net`, while it is on
+let replNetworkListener = null;
+
+// Prints DOM events of the observations started from the REPL
+function printDomEvent(event) {
+  const observation = observations.get(event.observation);
+  if (observation && observation.owner === 'repl') {
+    printAbovePrompt('[Observe]', formatDomEvent(event));
+  }
+}
+
+// Number of entries `.logs` prints
+const LOGS_SHOWN = 50;
+
+// Split `.logs` arguments into a level, if the first one is one, and a
+// pattern to grep for
+function parseLogsArgs(args) {
+  const [first, ...rest] = args.split(/\s+/).filter(Boolean);
+  const level = first && parseLogLevel(first) ? first : undefined;
+  const grep = (level ? rest : [first, ...rest].filter(Boolean)).join(' ') || undefined;
+  return { level, grep };
+}
+
+// Print log entries one per line, errors with their stack
+function printLogRecords(records) {
+  for (const record of records) {
+    const time = new Date(record.timestamp).toISOString().slice(11, 23);
+    console.log(`${time} ${record.level.padEnd(5)} [${record.target}] ${record.message}`);
+    if (record.stack && record.level === 'error') {
+      console.log(record.stack);
+    }
+  }
+}
+
+// Handle `.logs [level] [grep]`: print the latest matching log entries
+function logsCommand(args) {
+  const matching = logBuffer.filter(logFilter(parseLogsArgs(args)));
+  if (matching.length === 0) {
+    console.log('No matching log entries');
+    return;
+  }
+  if (matching.length > LOGS_SHOWN) {
+    console.log(`(${matching.length - LOGS_SHOWN} older entries not shown)`);
+  }
+  printLogRecords(matching.slice(-LOGS_SHOWN));
+}
+
+// Handle `.mute [level]`: stop printing app output up to `level` (all of it
+// without one), or print everything again if something is muted
+function muteCommand(args) {
+  if (!args) {
+    mutedThrough = mutedThrough === -1 ? LOG_LEVELS.length - 1 : -1;
+  } else {
+    const level = parseLogLevel(args);
+    if (!level) {
+      throw new Error(`Unknown log level "${args}", use one of ${LOG_LEVELS.join(', ')}`);
+    }
+    mutedThrough = LOG_LEVELS.indexOf(level);
+  }
+
+  if (mutedThrough === -1) {
+    console.log('App output unmuted');
+  } else if (mutedThrough === LOG_LEVELS.length - 1) {
+    console.log('App output muted, still recorded for .logs (.mute to unmute)');
+  } else {
+    console.log(`Muted ${LOG_LEVELS.slice(0, mutedThrough + 1).join(', ')} app output (.mute to unmute)`);
+  }
+}
+
+// Handle `.observe <selector>`, `.observe off [id]` and `.observe` to list
+async function observeCommand(args) {
+  if (args === '') {
+    if (observations.size === 0) {
+      console.log('No observations');
+    }
+    for (const observation of observations.values()) {
+      const entry = injector.clients.get(observation.source);
+      console.log(`#${observation.id} ${observation.selector} in "${entry ? targetLabel(entry.target) : observation.source}"`);
+    }
+    return;
+  }
+
+  if (args === 'off' || args.startsWith('off ')) {
+    const ids = args === 'off'
+      ? [...observations.values()].filter(observation => observation.owner === 'repl').map(observation => observation.id)
+      : [args.slice(4).trim()];
+    for (const id of ids) {
+      await stopObservation(id);
+    }
+    console.log(`Stopped ${ids.length} observation${ids.length === 1 ? '' : 's'}`);
+    return;
+  }
+
+  if (injector.listeners('dom').indexOf(printDomEvent) === -1) {
+    injector.on('dom', printDomEvent);
+  }
+  const observation = await startObservation(await injector.connect(), args, 'repl');
+  console.log(`Observing #${observation.id} ${args} (.observe off ${observation.id} to stop)`);
+}
+
+// Start or stop printing network traffic of the active target in the REPL
+async function toggleNetworkLog(args) {
+  if (replNetworkListener) {
+    injector.removeListener('network', replNetworkListener);
+    replNetworkListener = null;
+  }
+  if (args[0] === 'off') {
+    console.log('Network monitor stopped');
+    return;
+  }
+
+  const [url, method] = args;
+  const filter = networkFilter({ url, method });
+  await injector.monitor();
+  replNetworkListener = (event) => {
+    if (injector.activeClient && event.source === injector.activeClient.source && filter(event)) {
+      printAbovePrompt('[Net]', formatNetworkEvent(event));
+    }
+  };
+  injector.on('network', replNetworkListener);
+  console.log(`Network monitor started${url ? ` for ${method ? method.toUpperCase() + ' ' : ''}${url}` : ''} (.net off to stop)`);
+}
+
+// Handle `.har start`, `.har stop <file>` and `.har import <file> [index]`
+async function harCommand([action, file, index]) {
+  if (action === 'start') {
+    await startHarRecording();
+    console.log('HAR recording started (.har stop <file> to save)');
+  } else if (action === 'stop') {
+    if (!file) {
+      throw new Error('Usage: .har stop <file>');
+    }
+    const har = stopHarRecording(file);
+    console.log(`Saved ${har.log.entries.length} entries to ${file}`);
+  } else if (action === 'import') {
+    if (!file) {
+      throw new Error('Usage: .har import <file> [index]');
+    }
+    const har = readHar(file);
+    const entries = summarizeHar(har);
+    if (index !== undefined) {
+      const entry = har.log.entries[Number(index)];
+      console.log(entry ? util.inspect(entry, { depth: null, colors: process.stdout.isTTY }) : `No entry ${index}`);
+      return;
+    }
+    entries.forEach(entry => {
+      console.log(`[${entry.index}] ${entry.method} ${entry.status} ${entry.url} (${entry.size} bytes, ${Math.round(entry.time)}ms)`);
+    });
+  } else {
+    throw new Error('Usage: .har start | stop <file> | import <file> [index]');
+  }
+}
+
+// Handle `.mock add <json>`, `.mock list`, `.mock remove <id>`,
+// `.mock load <file>` and `.mock clear`
+async function mockCommand(args) {
+  const [action] = args.split(/\s+/, 1);
+  const rest = args.slice(action.length).trim();
+
+  if (action === 'list' || action === '') {
+    if (mockRules.length === 0) {
+      console.log('No mock rules');
+    }
+    mockRules.forEach(rule => {
+      const { id, url, method, ...options } = describeMockRule(rule);
+      console.log(`#${id} ${method || '*'} ${url} ${JSON.stringify(options)}`);
+    });
+    return;
+  }
+
+  if (action === 'add') {
+    const rule = addMockRule(JSON.parse(rest));
+    console.log(`Added mock rule #${rule.id}`);
+  } else if (action === 'remove') {
+    removeMockRule(rest);
+    console.log(`Removed mock rule #${rest}`);
+  } else if (action === 'load') {
+    const rules = loadMockRules(rest);
+    console.log(`Loaded ${rules.length} mock rules from ${rest}`);
+  } else if (action === 'clear') {
+    mockRules.length = 0;
+    console.log('Removed all mock rules');
+  } else {
+    throw new Error('Usage: .mock add <json> | list | remove <id> | load <file> | clear');
+  }
+  await syncAllMockInterception();
+}
+
+// Handle `.scripts list | enable <name> | disable <name> | reload`
+async function scriptsCommand(args) {
+  const [action = 'list', name] = args.split(/\s+/).filter(Boolean);
+
+  if (action === 'list') {
+    if (userscripts.length === 0) {
+      console.log(`No userscripts in ${path.resolve(argv.userscripts)}`);
+    }
+    for (const script of userscripts) {
+      const requires = script.requires.length > 0 ? ` requires ${script.requires.join(', ')}` : '';
+      console.log(`[${script.enabled ? 'x' : ' '}] ${script.name} (${path.basename(script.file)}) ` +
+        `${script.runAt} ${script.world} ${script.matches.join(' ') || '(no @match)'}${requires}`);
+    }
+  } else if (action === 'enable' || action === 'disable') {
+    if (!name) {
+      throw new Error(`Usage: .scripts ${action} <name>`);
+    }
+    const script = await setUserscriptEnabled(name, action === 'enable');
+    console.log(`${action === 'enable' ? 'Enabled' : 'Disabled'} ${script.name}`);
+  } else if (action === 'reload') {
+    loadUserscripts();
+    await syncAllUserscripts();
+    console.log(`Loaded ${userscripts.length} userscripts from ${path.resolve(argv.userscripts)}`);
+  } else {
+    throw new Error('Usage: .scripts list | enable <name> | disable <name> | reload');
+  }
+}
+
+// Print the execution contexts of the active target, marking the selected one
+async function printContexts() {
+  const entry = await injector.connect();
+  let selected;
+  try {
+    selected = selectedContextId(entry);
+  } catch (err) {
+    console.log(err.message);
+  }
+  for (const context of entry.contexts.values()) {
+    const isSelected = context.id === selected || (selected === undefined && !entry.contextSelection &&
+      context.isDefault && context.frameId === entry.mainFrameId);
+    const frame = context.frameId && context.frameId !== entry.mainFrameId ? ` frame ${context.frameId}` : '';
+    console.log(`${isSelected ? '*' : ' '} ${String(context.id).padStart(4)}  ${context.type.padEnd(8)} ` +
+      `${context.name || '(main world)'}  ${context.origin}${frame}`);
+  }
+}
+
+// Handle `.context <id|name|default>` and `.context new [name]`
+async function contextCommand(args) {
+  const entry = await injector.connect();
+  const [action, name] = args.split(/\s+/);
+  if (action === 'new') {
+    const id = await createIsolatedWorld(entry, name);
+    entry.completions = null;
+    console.log(`Created isolated world "${entry.contextSelection.name}" (${id}), now evaluating in it`);
+    return;
+  }
+  const context = await selectContext(entry, args);
+  entry.completions = null;
+  console.log(context && entry.contextSelection
+    ? `Now evaluating in ${context.type} context "${context.name}" (${context.id})`
+    : 'Now evaluating in the default context');
+}
+
+// Handle `.watch [file]`, listing the watched files without one
+async function watchCommand(file) {
+  if (file) {
+    await watchFile(file);
+    console.log(`Watching ${file}, it runs again whenever it changes`);
+    return;
+  }
+  if (watchedFiles.size === 0) {
+    console.log('No watched files');
+  }
+  for (const watched of watchedFiles.keys()) {
+    console.log(watched);
+  }
+}
+
+// Handle `.click <selector>`, `.type <text>`, `.press <keys>` and
+// `.scroll <deltaY> [selector]` on the active target
+async function inputCommand(command, args) {
+  const entry = await injector.connect();
+  if (command === 'scroll') {
+    const [deltaY, ...selector] = args.split(/\s+/);
+    await scrollBy(entry, { deltaY: Number(deltaY) || 0, selector: selector.join(' ') || undefined });
+    return;
+  }
+  const step = { action: command };
+  if (command === 'click') {
+    step.selector = args;
+  } else if (command === 'type') {
+    step.text = args;
+  } else {
+    step.keys = args;
+  }
+  await performAction(entry, step);
+}
+
+// Handle `.screenshot [file] [selector] [--full] [--highlight]`
+async function screenshotCommand(args) {
+  const words = args.split(/\s+/).filter(Boolean);
+  const flags = words.filter(word => word.startsWith('--'));
+  const rest = words.filter(word => !word.startsWith('--'));
+  const file = rest.length > 0 && SCREENSHOT_FORMATS[path.extname(rest[0]).toLowerCase()]
+    ? rest.shift()
+    : `screenshot-${Date.now()}.png`;
+  const selector = rest.join(' ') || undefined;
+
+  const image = await captureScreenshot(await injector.connect(), {
+    selector,
+    format: SCREENSHOT_FORMATS[path.extname(file).toLowerCase()],
+    fullPage: flags.includes('--full'),
+    highlight: flags.includes('--highlight')
+  });
+  fs.writeFileSync(path.resolve(file), image);
+  console.log(`Saved screenshot to ${file} (${image.length} bytes)`);
+}
+
+// Object group holding the remote objects of REPL results
+const REPL_OBJECT_GROUP = 'electron-repl';
+
+// How many object results the REPL keeps for `.inspect`
+const MAX_REPL_RESULTS = 100;
+
+// Default depth for `.inspect`
+const INSPECT_DEPTH = 5;
+
+// Remote objects of REPL results by number, $1 being the first
+const replResults = new Map();
+let replResultCount = 0;
+
+// Print a preview the way util.inspect prints local values
+function printPreview(preview, prefix = '') {
+  const rendered = util.inspect(previewToInspectable(preview), { depth: null, colors: process.stdout.isTTY });
+  console.log(prefix + rendered);
 }
 
-function testSelector(element, selector) {
+// Evaluate REPL input and print its result. Object results are kept as
+// remote objects and numbered, so `.inspect $n` can expand them later.
+// Resolves to false if the code threw.
+async function evaluateInREPL(code) {
+  let response;
   try {
-    const found = document.querySelectorAll(selector);
-    return found.length === 1 && found[0] === element;
-  } catch (e) {
-    console.error('Invalid selector:', selector, e);
+    response = await injector.evaluateRemote(code, { context: replContext, objectGroup: REPL_OBJECT_GROUP, replMode: true });
+  } catch (err) {
+    console.log({ error: err.message });
+    return false;
+  }
+
+  const { entry, result, exceptionDetails } = response;
+  // The code may have declared or changed globals
+  entry.completions = null;
+  if (exceptionDetails) {
+    console.log(exceptionResult(exceptionDetails));
     return false;
   }
+  if (result.type === 'undefined') {
+    return true;
+  }
+
+  const preview = await buildPreview(entry.Runtime, result);
+  if (!result.objectId) {
+    printPreview(preview);
+    return true;
+  }
+
+  const number = ++replResultCount;
+  replResults.set(number, { entry, remote: result });
+  // Forget the oldest result once we keep too many
+  if (replResults.size > MAX_REPL_RESULTS) {
+    const [oldest] = replResults.keys();
+    const { entry: oldEntry, remote } = replResults.get(oldest);
+    replResults.delete(oldest);
+    oldEntry.Runtime.releaseObject({ objectId: remote.objectId }).catch(() => {});
+  }
+  printPreview(preview, `$${number} = `);
+  return true;
 }
 
-function safeSelector(element) {
-  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-    return null;
+// Handle `.inspect $n [depth]` and `.inspect <expression>`
+async function inspectCommand(args) {
+  const match = /^\$(\d+)(?:\s+(\d+))?$/.exec(args);
+  if (!match) {
+    printPreview(await injector.evaluate(args, { context: replContext, depth: INSPECT_DEPTH }));
+    return;
   }
-  
-  // Try the main approach first
-  try {
-    const selector = generateSelector(element);
-    if (selector && testSelector(element, selector)) {
-      return selector;
-    }
-  } catch (e) {
-    console.warn('Error generating primary selector', e);
+
+  const stored = replResults.get(Number(match[1]));
+  if (!stored) {
+    throw new Error(`No result $${match[1]}`);
   }
-  
-  // Fallback: Use tag name with position
+  const depth = match[2] !== undefined ? Number(match[2]) : INSPECT_DEPTH;
   try {
-    if (element.parentElement) {
-      const tagName = element.tagName.toLowerCase();
-      const siblings = Array.from(element.parentElement.children);
-      const index = siblings.indexOf(element) + 1;
-      
-      const selector = \`\${tagName}:nth-child(\${index})\`;
-      if (testSelector(element, selector)) {
-        return selector;
-      }
-      
-      // Add parent tag if needed
-      if (element.parentElement !== document.body) {
-        const parentTag = element.parentElement.tagName.toLowerCase();
-        const parentSelector = \`\${parentTag} > \${selector}\`;
-        if (testSelector(element, parentSelector)) {
-          return parentSelector;
-        }
-      }
-    }
-  } catch (e) {
-    console.warn('Error generating fallback selector', e);
+    printPreview(await buildPreview(stored.entry.Runtime, stored.remote, depth));
+  } catch (err) {
+    throw new Error(`$${match[1]} is no longer available (${err.message})`);
   }
-  
-  // Final fallback: Use JS path
-  try {
-    // Create a simple JS path for querySelector
-    const path = [];
-    let currentElement = element;
-    while (currentElement && currentElement !== document.body && path.length < 3) {
-      const tag = currentElement.tagName.toLowerCase();
-      const index = Array.from(currentElement.parentElement.children)
-        .filter(c => c.tagName === currentElement.tagName)
-        .indexOf(currentElement) + 1;
-      
-      path.unshift(\`\${tag}:nth-of-type(\${index})\`);
-      currentElement = currentElement.parentElement;
-      
-      // Test if the path so far is unique
-      const testPath = path.join(' > ');
-      if (testSelector(element, testPath)) {
-        return testPath;
-      }
-    }
-  } catch (e) {
-    console.warn('Error generating JS path selector', e);
+}
+
+// Process the REPL evaluates lines in: 'renderer' or 'main'
+let replContext = 'renderer';
+
+// Switch the REPL between the renderer and the main process
+async function switchContext(context) {
+  if (context === 'main') {
+    await injector.connectToMain();
   }
-  
-  // Could not generate a reliable selector
-  return null;
+  replContext = context;
+  rl.setPrompt(replPrompt());
 }
 
-function findElementsByText(searchText, caseSensitive = false, rootElement = document.body) {
-  const results = [];
-  const searchTextLower = caseSensitive ? searchText : searchText.toLowerCase();
-  
-  function searchNode(node) {
-    if (node.nodeType === Node.TEXT_NODE) {
-      const content = caseSensitive ? node.textContent : node.textContent.toLowerCase();
-      if (content.includes(searchTextLower)) {
-        if (node.parentElement && !results.includes(node.parentElement)) {
-          results.push(node.parentElement);
-        }
-      }
-    } else if (node.nodeType === Node.ELEMENT_NODE) {
-      for (const attr of node.attributes) {
-        const attrValue = caseSensitive ? attr.value : attr.value.toLowerCase();
-        if (attrValue.includes(searchTextLower)) {
-          if (!results.includes(node)) {
-            results.push(node);
-            return;
-          }
-        }
-      }
-      
-      for (const child of node.childNodes) {
-        searchNode(child);
-      }
+// The REPL prompt for the current context, naming the execution context
+// if one other than the default is selected
+function replPrompt() {
+  if (replContext === 'main') {
+    return 'electron-repl(main)> ';
+  }
+  const selection = injector.activeClient && injector.activeClient.contextSelection;
+  return selection ? `electron-repl[${selection.name || selection.frameId}]> ` : 'electron-repl> ';
+}
+
+// Prompt shown while reading the rest of an incomplete input
+const CONTINUATION_PROMPT = '... ';
+
+// Lines of an input that is not complete yet
+let pendingLines = [];
+
+// Lines typed in `.editor` mode, or null outside of it
+let editorLines = null;
+
+// SyntaxErrors of code that stops in the middle, so the REPL should keep
+// reading lines
+const INCOMPLETE_INPUT_ERRORS = ['Unexpected end of input', 'Unterminated template literal'];
+// What V8 reports for an unclosed block comment, as for any stray character
+const INVALID_TOKEN_ERROR = 'Invalid or unexpected token';
+
+// Compile code without running it, resolving to the SyntaxError if it has one
+function syntaxError(code) {
+  try {
+    new vm.Script(code, { filename: 'repl' });
+    return null;
+  } catch (err) {
+    if (!(err instanceof SyntaxError)) {
+      throw err;
     }
+    return err;
   }
-  
-  searchNode(rootElement);
-  return results;
 }
 
-function highlightElements(elements, duration = 2000, color = 'rgba(255, 0, 0, 0.3)') {
-  const originalStyles = [];
-  
-  elements.forEach(el => {
-    originalStyles.push({
-      element: el,
-      outline: el.style.outline,
-      backgroundColor: el.style.backgroundColor,
-      transition: el.style.transition
-    });
-    
-    el.style.outline = \`2px solid \${color}\`;
-    el.style.backgroundColor = color;
-    el.style.transition = 'all 0.5s ease-in-out';
-  });
-  
-  setTimeout(() => {
-    originalStyles.forEach(item => {
-      item.element.style.outline = item.outline;
-      item.element.style.backgroundColor = item.backgroundColor;
-      item.element.style.transition = item.transition;
-    });
-  }, duration);
+// Whether code fails to compile only because it ends inside a block comment
+function inOpenComment(code, compile) {
+  const error = compile(code);
+  if (!error || error.message !== INVALID_TOKEN_ERROR) {
+    return false;
+  }
+  const closed = compile(code + '*/');
+  return !closed || closed.message !== INVALID_TOKEN_ERROR;
 }
 
-function findElementsByStyle(styleProperties) {
-  const allElements = document.querySelectorAll('*');
-  const results = [];
-  
-  allElements.forEach(el => {
-    const computedStyle = window.getComputedStyle(el);
-    let match = true;
-    
-    for (const [property, value] of Object.entries(styleProperties)) {
-      if (computedStyle[property] !== value) {
-        match = false;
-        break;
-      }
-    }
-    
-    if (match) {
-      results.push(el);
-    }
-  });
-  
-  return results;
+// Whether code stops inside brackets, a template literal, a block comment or
+// the like, so the REPL should keep reading lines. Anything else that fails
+// to parse is left for the evaluation to report.
+function isIncompleteInput(code) {
+  const error = syntaxError(code);
+  if (!error || INCOMPLETE_INPUT_ERRORS.includes(error.message)) {
+    return Boolean(error);
+  }
+  if (inOpenComment(code, syntaxError)) {
+    return true;
+  }
+  if (!/\bawait\b/.test(code)) {
+    return false;
+  }
+
+  // Top-level await only parses inside an async function. Its closing line
+  // is the first thing an unfinished input runs into there.
+  const inAsync = input => syntaxError(`(async () => {\n${input}\n})`);
+  const lines = code.split('\n').length;
+  const asyncError = inAsync(code);
+  if (!asyncError) {
+    return false;
+  }
+  if (inOpenComment(code, inAsync)) {
+    return true;
+  }
+  const [, line] = asyncError.stack.match(/^repl:(\d+)/) || [];
+  return INCOMPLETE_INPUT_ERRORS.includes(asyncError.message) || Number(line) === lines + 2;
 }
 
-function findClickableElements() {
-  const standardClickable = document.querySelectorAll('a, button, input[type="button"], input[type="submit"], [role="button"]');
-  const attrClickable = document.querySelectorAll('[onclick], [data-click], [data-action]');
-  const styleClickable = Array.from(document.querySelectorAll('*')).filter(el => {
-    const style = window.getComputedStyle(el);
-    return style.cursor === 'pointer';
-  });
-  
-  return [...new Set([...standardClickable, ...attrClickable, ...styleClickable])];
+// Start `.editor` mode: collect lines until Ctrl+D, Ctrl+C cancels
+function startEditor() {
+  editorLines = [];
+  console.log('// Entering editor mode (Ctrl+D to finish, Ctrl+C to cancel)');
 }
 
-function inspectElements(elements) {
-  elements.forEach((el, index) => {
-    console.group(\`Element \${index + 1} (\${el.tagName})\`);
-    console.log('Element:', el);
-    console.log('Text content:', el.textContent.trim().substring(0, 100) + (el.textContent.length > 100 ? '...' : ''));
-    console.log('Unique selector:', safeSelector(el));
-    console.log('Attributes:', Array.from(el.attributes).map(attr => \`\${attr.name}="\${attr.value}"\`).join(', '));
-    console.groupEnd();
-  });
+// Leave `.editor` mode and evaluate what was typed
+async function finishEditor() {
+  const code = editorLines.join('\n');
+  editorLines = null;
+  process.stdout.write('\n');
+  if (code.trim()) {
+    try {
+      await evaluateInREPL(code);
+    } catch (err) {
+      console.error('Execution error:', err);
+    }
+  }
+  rl.prompt();
 }
 
-function hitEnter(el) {
-  el.dispatchEvent(new KeyboardEvent('keydown',{key: 'Enter',code: 'Enter',keyCode: 13,which: 13,bubbles: true,cancelable: true}));
+// Drop a pending multi-line or editor input after Ctrl+C. Returns false
+// if there was nothing to drop.
+function cancelPendingInput() {
+  if (editorLines === null && pendingLines.length === 0) {
+    return false;
+  }
+  editorLines = null;
+  pendingLines = [];
+  process.stdout.write('\n');
+  rl.setPrompt(replPrompt());
+  rl.prompt();
+  return true;
 }
 
-function parseStreamingJSON(text) {
-  // Handle multiple JSON objects separated by newlines (common in streaming APIs)
-  if (text.includes('\\n')) {
-    return text.split('\\n')
-      .filter(line => line.trim())
-      .map(line => {
-        try {
-          return JSON.parse(line);
-        } catch (e) {
-          return line;
-        }
-      });
+// Special REPL commands with their usage, for .help and tab completion
+const REPL_COMMANDS = [
+  ['.exit', 'Exit the REPL'],
+  ['.clear', 'Clear the console'],
+  ['.load <file>', 'Load and execute a JavaScript file'],
+  ['.targets', 'List all debuggable targets'],
+  ['.use <id|index|pattern>', 'Switch to another target'],
+  ['.net [url regex] [method]', 'Print network traffic of the target'],
+  ['.net off', 'Stop printing network traffic'],
+  ['.har start', 'Record network traffic'],
+  ['.har stop <file>', 'Save the recording as a HAR file'],
+  ['.har import <file> [index]', 'List the entries of a HAR file, or show one'],
+  ['.mock add <json>', 'Add a request interception rule'],
+  ['.mock list', 'List the interception rules'],
+  ['.mock remove <id>', 'Remove an interception rule'],
+  ['.mock load <file>', 'Load interception rules from a JSON file'],
+  ['.mock clear', 'Remove all interception rules'],
+  ['.scripts list', 'List the userscripts'],
+  ['.scripts enable <name>', 'Enable a userscript and run it in matching pages'],
+  ['.scripts disable <name>', 'Stop injecting a userscript'],
+  ['.scripts reload', 'Reload the userscripts directory'],
+  ['.observe <selector>', 'Print elements added, removed or changed that match a selector'],
+  ['.observe', 'List the observations'],
+  ['.observe off [id]', 'Stop one or all observations'],
+  ['.logs [level] [grep]', 'Show recent console output, exceptions and log entries'],
+  ['.mute [level]', 'Stop printing app output up to a level (all without one), again to unmute'],
+  ['.click <selector>', 'Click an element with a real mouse event'],
+  ['.type <text>', 'Type text into the focused element'],
+  ['.press <keys>', 'Press a key combo, e.g. Enter or Control+A'],
+  ['.scroll <deltaY> [selector]', 'Scroll with the mouse wheel'],
+  ['.screenshot [file] [selector] [--full] [--highlight]', 'Save a screenshot'],
+  ['.watch <file>', 'Run a file now and again whenever it changes'],
+  ['.watch', 'List the watched files'],
+  ['.unwatch <file>', 'Stop watching a file and run its onUnload hooks'],
+  ['.editor', 'Enter editor mode for pasting multi-line code'],
+  ['.inspect $n [depth]', 'Expand a previous result'],
+  ['.inspect <expression>', 'Evaluate and show the result in depth'],
+  ['.history [n]', 'Show the last n inputs (default 20)'],
+  ['.history grep <pattern>', 'Show the inputs matching a regex'],
+  ['.save <file>', 'Save the inputs of this session that ran without errors'],
+  ['.contexts', 'List the execution contexts of the target (worlds, frames)'],
+  ['.context <id|name>', 'Evaluate in another execution context'],
+  ['.context default', 'Evaluate in the default context again'],
+  ['.context new [name]', 'Create an isolated world and evaluate in it'],
+  ['.main', 'Evaluate in the main process (needs --inspect-port)'],
+  ['.renderer', 'Evaluate in the renderer (default)'],
+  ['.help', 'Show this help message']
+];
+
+// Print the list of special REPL commands
+function printHelp() {
+  console.log('Special commands:');
+  for (const [usage, description] of REPL_COMMANDS) {
+    console.log(`  ${usage} - ${description}`);
   }
-  
-  // Try to parse a single JSON object
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    // For streaming that sends "data: {json}" format (SSE)
-    if (text.startsWith('data:')) {
-      try {
-        const jsonPart = text.substring(5).trim();
-        return JSON.parse(jsonPart);
-      } catch (e2) {
-        return text;
-      }
+}
+
+// Runs in the app: all property names of a value and its prototype chain
+function propertyNames(value) {
+  const names = new Set();
+  for (let object = Object(value); object; object = Object.getPrototypeOf(object)) {
+    for (const name of Object.getOwnPropertyNames(object)) {
+      names.add(name);
     }
-    return text;
   }
+  return [...names];
 }
 
-function monitorApiCall(urlPattern, method, waitForCall = true, callback = null, timeout = 30000) {
-  return new Promise((resolve, reject) => {
-    // Create a regex from the pattern
-    const urlRegex = new RegExp(urlPattern);
-    // Track if we found a matching request
-    let foundRequest = false;
-    // For tracking timeout
-    let timeoutId = null;
-    
-    // Collection of all messages in order
-    const messageLog = [];
-    
-    // Function to add messages to the log
-    function logMessage(message) {
-      // Add timestamp if not present
-      if (!message.timestamp) {
-        message.timestamp = Date.now();
-      }
-      
-      // Add to log
-      messageLog.push(message);
-      
-      // Forward to callback if provided
-      if (callback) {
-        callback(message);
-      }
-    }
-    
-    // Set timeout if specified
-    if (timeout > 0) {
-      timeoutId = setTimeout(() => {
-        cleanupMonitoring();
-        reject(new Error(\`Timeout after \${timeout}ms waiting for \${method} \${urlPattern}\`));
-      }, timeout);
-    }
-    
-    // Cleanup function to remove our interceptors
-    function cleanupMonitoring() {
-      window.fetch = originalFetch;
-      clearTimeout(timeoutId);
-    }
-    
-    // Store original fetch
-    const originalFetch = window.fetch;
-    
-    // Custom implementation to intercept fetch
-    window.fetch = async function(resource, options = {}) {
-      const url = resource instanceof Request ? resource.url : resource;
-      const fetchMethod = (options.method || (resource instanceof Request ? resource.method : 'GET')).toUpperCase();
-      
-      // Check if this request matches our criteria
-      const isMatch = urlRegex.test(url) && fetchMethod === method.toUpperCase();
-      
-      // Track the original call timing
-      const startTime = Date.now();
-      
-      if (isMatch) {
-        foundRequest = true;
-        
-        // Log that we found a matching request
-        logMessage({
-          type: 'request-start',
-          url,
-          method: fetchMethod,
-          timestamp: startTime
-        });
-        
-        // Track request body if available
-        let requestBody = null;
-        if (options.body) {
-          try {
-            requestBody = typeof options.body === 'string' 
-              ? JSON.parse(options.body) 
-              : options.body;
-            
-            logMessage({
-              type: 'request-body',
-              body: requestBody,
-              timestamp: Date.now()
-            });
-          } catch (e) {
-            requestBody = options.body;
-            
-            logMessage({
-              type: 'request-body',
-              body: options.body,
-              timestamp: Date.now()
-            });
-          }
-        }
-      }
-      
-      try {
-        // Call the original fetch
-        const response = await originalFetch.apply(this, arguments);
-        
-        if (isMatch) {
-          // Create a clone to read the body (because response body can only be read once)
-          const clonedResponse = response.clone();
-          
-          // Handle streaming or regular response
-          try {
-            // For streaming responses like completions API
-            const reader = clonedResponse.body.getReader();
-            let chunks = [];
-            
-            // Read the stream
-            const processStream = async () => {
-              try {
-                while (true) {
-                  const { done, value } = await reader.read();
-                  
-                  if (done) {
-                    // Stream is complete
-                    break;
-                  }
-                  
-                  // Convert the chunk to text
-                  const chunk = new TextDecoder().decode(value);
-                  chunks.push(chunk);
-                  
-                  // Try to parse JSON chunks (for streaming APIs)
-                  try {
-                    const jsonData = parseStreamingJSON(chunk);
-                    logMessage({
-                      type: 'response-chunk',
-                      chunk: jsonData,
-                      timestamp: Date.now()
-                    });
-                  } catch (e) {
-                    // Not a valid JSON, just send the raw chunk
-                    logMessage({
-                      type: 'response-chunk',
-                      chunk: chunk,
-                      timestamp: Date.now()
-                    });
-                  }
-                }
-                
-                // Concatenate all chunks
-                const fullBody = chunks.join('');
-                
-                // Try to parse the complete response
-                try {
-                  const jsonResponse = JSON.parse(fullBody);
-                  const completeMsg = {
-                    type: 'response-complete',
-                    status: response.status,
-                    headers: Object.fromEntries([...response.headers.entries()]),
-                    body: jsonResponse,
-                    duration: Date.now() - startTime,
-                    timestamp: Date.now()
-                  };
-                  
-                  logMessage(completeMsg);
-                  
-                  // Resolve the promise with the final data and message log
-                  cleanupMonitoring();
-                  resolve({
-                    success: true,
-                    status: response.status,
-                    headers: Object.fromEntries([...response.headers.entries()]),
-                    body: jsonResponse,
-                    duration: Date.now() - startTime,
-                    messageLog: messageLog
-                  });
-                } catch (e) {
-                  // Not JSON, return as text
-                  const completeMsg = {
-                    type: 'response-complete',
-                    status: response.status,
-                    headers: Object.fromEntries([...response.headers.entries()]),
-                    body: fullBody,
-                    duration: Date.now() - startTime,
-                    timestamp: Date.now()
-                  };
-                  
-                  logMessage(completeMsg);
-                  
-                  cleanupMonitoring();
-                  resolve({
-                    success: true,
-                    status: response.status,
-                    headers: Object.fromEntries([...response.headers.entries()]),
-                    body: fullBody,
-                    duration: Date.now() - startTime,
-                    messageLog: messageLog
-                  });
-                }
-              } catch (streamError) {
-                logMessage({
-                  type: 'error',
-                  error: streamError.message,
-                  timestamp: Date.now()
-                });
-                
-                cleanupMonitoring();
-                reject({
-                  error: streamError.message,
-                  messageLog: messageLog
-                });
-              }
-            };
-            
-            // Start processing the stream
-            processStream();
-          } catch (streamSetupError) {
-            // Fallback to regular response handling if streaming fails
-            handleRegularResponse(clonedResponse, startTime);
-          }
-        }
-        
-        // Return the original response so the application works normally
-        return response;
-      } catch (error) {
-        if (isMatch) {
-          logMessage({
-            type: 'error',
-            error: error.message,
-            timestamp: Date.now()
-          });
-          
-          cleanupMonitoring();
-          reject({
-            error: error.message,
-            messageLog: messageLog
-          });
-        }
-        throw error; // Re-throw to not interfere with app error handling
-      }
-    };
-    
-    // Helper function to handle regular (non-streaming) responses
-    async function handleRegularResponse(response, startTime) {
-      try {
-        let responseData;
-        const contentType = response.headers.get('content-type') || '';
-        
-        if (contentType.includes('application/json')) {
-          responseData = await response.json();
-        } else {
-          responseData = await response.text();
-        }
-        
-        const completeMsg = {
-          type: 'response-complete',
-          status: response.status,
-          headers: Object.fromEntries([...response.headers.entries()]),
-          body: responseData,
-          duration: Date.now() - startTime,
-          timestamp: Date.now()
-        };
-        
-        logMessage(completeMsg);
-        
-        cleanupMonitoring();
-        resolve({
-          success: true,
-          status: response.status,
-          headers: Object.fromEntries([...response.headers.entries()]),
-          body: responseData,
-          duration: Date.now() - startTime,
-          messageLog: messageLog
-        });
-      } catch (error) {
-        logMessage({
-          type: 'error',
-          error: error.message,
-          timestamp: Date.now()
-        });
-        
-        cleanupMonitoring();
-        reject({
-          error: error.message,
-          messageLog: messageLog
-        });
-      }
-    }
-    
-    // If we're not waiting for a call and none are in progress, resolve immediately
-    if (!waitForCall && !foundRequest) {
-      cleanupMonitoring();
-      resolve({
-        success: false,
-        reason: 'No matching API calls in progress and waitForCall is false',
-        messageLog: messageLog
-      });
-    }
-    
-    // Log that we've started monitoring
-    console.log(\`Monitoring for \${method} \${urlPattern} API calls...\`);
+// Names that can follow `expression.`, or the globals without an
+// expression. Cached per execution context until the next navigation or
+// REPL evaluation, so repeated Tab presses don't hit the app again.
+async function completionNames(entry, expression) {
+  if (!entry.completions) {
+    entry.completions = new Map();
+  }
+  if (entry.completions.has(expression)) {
+    return entry.completions.get(expression);
+  }
+
+  // throwOnSideEffect keeps completion from running getters or calls that
+  // change the app's state
+  const { result, exceptionDetails } = await entry.Runtime.evaluate({
+    expression: `(${propertyNames.toString()})(${expression || 'globalThis'})`,
+    contextId: selectedContextId(entry),
+    returnByValue: true,
+    throwOnSideEffect: true,
+    silent: true
   });
-}
-  function typeString(inputElement, text, hitEnter = false) {
-  // Clear existing input value if needed
-  inputElement.value = '';
-  
-  // Type each character with a small delay
-  const typeDelay = 50; // milliseconds between keystrokes
-  
-  const typeCharacter = (index) => {
-    if (index >= text.length) {
-      // Press Enter when finished typing
-      if (hitEnter) inputElement.dispatchEvent(new KeyboardEvent('keydown', {
-        key: 'Enter',
-        code: 'Enter',
-        keyCode: 13,
-        which: 13,
-        bubbles: true,
-        cancelable: true
-      }));
-      return;
+  let names = exceptionDetails ? [] : result.value || [];
+
+  // let, const and class declarations at the top level aren't properties
+  // of globalThis
+  if (!expression) {
+    try {
+      const { names: lexicalNames } = await entry.Runtime.globalLexicalScopeNames();
+      names = [...lexicalNames, ...names];
+    } catch (e) {
+      // Not supported, fall back to the global object's properties
     }
-    
-    // Get current character
-    const char = text[index];
-    
-    // Dispatch keydown event
-    inputElement.dispatchEvent(new KeyboardEvent('keydown', {
-      key: char,
-      code: \`Key\${char.toUpperCase()}\`,
-      keyCode: char.charCodeAt(0),
-      which: char.charCodeAt(0),
-      bubbles: true,
-      cancelable: true
-    }));
-    
-    // Add character to input value
-    inputElement.value += char;
-    
-    // Dispatch input event
-    inputElement.dispatchEvent(new Event('input', {
-      bubbles: true,
-      cancelable: true
-    }));
-    
-    // Schedule next character
-    setTimeout(() => typeCharacter(index + 1), typeDelay);
-  };
-  
-  // Start typing
-  typeCharacter(0);
+  }
+
+  entry.completions.set(expression, names);
+  return names;
 }
-console.log('[DOM Inspector Tools] Initialized successfully with improved selector generation and API monitoring');
-`;
 
-// Connect to the CDP instance
-async function connectToCDP() {
-  if (activeClient) {
-    return activeClient;
+// readline completer for dot-commands, globals (including the injected
+// helpers) and properties of the expression before the last dot
+function completer(line, callback) {
+  if (/^\.\S*$/.test(line)) {
+    const commands = [...new Set(REPL_COMMANDS.map(([usage]) => usage.split(' ')[0]))];
+    callback(null, [commands.filter(command => command.startsWith(line)), line]);
+    return;
   }
 
-  try {
-    console.log(`Connecting to CDP on port ${argv.port}...`);
-    const client = await CDP({ port: argv.port });
-    const { Runtime } = client;
-    await Runtime.enable();
-    
-    console.log('Successfully connected to the Electron app');
-    
-    // Inject the DOM inspection tools
-    await Runtime.evaluate({
-      expression: domInspectionTools,
-      returnByValue: true
-    });
-    
-    activeClient = { client, Runtime };
-    
-    // Set up event handling to log messages from the app
-    Runtime.consoleAPICalled(({ type, args }) => {
-      const values = args.map(arg => arg.value || arg.description).join(' ');
-      // Clear the current line
-      process.stdout.clearLine();
-      process.stdout.cursorTo(0);
-      console.log(`[App ${type}]:`, values);
-      // If we have an active readline interface, re-display the prompt and current input
-      if (rl) {
-        rl.prompt(true);
-      }
-    });
-    
-    return activeClient;
-  } catch (err) {
-    console.error('Failed to connect to CDP:', err.message);
-    throw err;
+  const [token, expression = '', prefix] = /(?:((?:[\w$]+\.)*[\w$]+)\.)?([\w$]*)$/.exec(line);
+  injector.clientFor({ context: replContext })
+    .then(entry => completionNames(entry, expression))
+    .then(names => {
+      const hits = [...new Set(names)]
+        .filter(name => name.startsWith(prefix) && /^[A-Za-z_$][\w$]*$/.test(name))
+        .sort();
+      callback(null, [hits.map(name => expression ? `${expression}.${name}` : name), token]);
+    })
+    .catch(() => callback(null, [[], line]));
+}
+
+const HISTORY_SIZE = 1000;
+// File the history of the current app is appended to, null if unavailable
+let historyFile = null;
+// History entries oldest first; multi-line inputs are a single entry
+const historyEntries = [];
+// Inputs of this session that evaluated without an exception, for .save
+const sessionInputs = [];
+// Reverse search state while Ctrl+R is active
+let historySearch = null;
+
+// Per-user config directory of the tool
+function configDir() {
+  if (process.env.XDG_CONFIG_HOME) {
+    return path.join(process.env.XDG_CONFIG_HOME, toolName);
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), toolName);
   }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', toolName);
+  }
+  return path.join(os.homedir(), '.config', toolName);
 }
 
-// Execute JavaScript in the Electron app
-async function executeJS(code) {
+// History is kept per app. Electron puts the app name in front of the
+// Chrome version in its user agent; apps without a name fall back to the port.
+async function historyName() {
   try {
-    const { Runtime } = await connectToCDP();
-    const result = await Runtime.evaluate({
-      expression: code,
-      returnByValue: true,
-      awaitPromise: true
-    });
-    
-    if (result.exceptionDetails) {
-      return {
-        error: result.exceptionDetails.text,
-        stack: result.exceptionDetails.exception?.description || "No stack available"
-      };
-    }
-    
-    // Check if the result has a value that's not undefined
-    if (result.result.value !== undefined) {
-      return result.result.value;
-    } 
-    
-    // For objects that can't be serialized (showing as undefined)
-    if (result.result.type === 'object' && result.result.className) {
-      return `[${result.result.className}]`;
-    }
-    
-    // For functions
-    if (result.result.type === 'function') {
-      return `[Function]`;
+    const { 'User-Agent': userAgent } = await CDP.Version({ port: argv.port });
+    const match = /\(KHTML, like Gecko\) ([^\s/]+)\/\S+ Chrome\//.exec(userAgent || '');
+    if (match && match[1] !== 'Electron') {
+      return match[1];
     }
-    
-    // For primitive types with no value
-    return result.result.type === 'undefined' ? undefined : `[${result.result.type}]`;
   } catch (err) {
-    return { error: err.message };
+    // Not available, use the port
   }
+  return `port-${argv.port}`;
 }
 
-// Endpoint for immediate execution
-app.post('/execute', async (req, res) => {
+// Load the app's history into readline, oldest entries beyond
+// HISTORY_SIZE are dropped from the file
+async function loadHistory() {
+  const name = (await historyName()).replace(/[^\w.-]/g, '_');
+  historyFile = path.join(configDir(), 'history', `${name}.jsonl`);
+
+  let lines = [];
   try {
-    const { code } = req.body;
-    if (!code) {
-      return res.status(400).json({ error: 'No code provided' });
+    lines = fs.readFileSync(historyFile, 'utf8').split('\n').filter(Boolean);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Failed to read history: ${err.message}`);
+    }
+  }
+  for (const line of lines) {
+    try {
+      historyEntries.push(JSON.parse(line));
+    } catch (err) {
+      // Skip damaged lines
     }
+  }
 
-    const result = await executeJS(code);
-    res.json({ result });
-  } catch (error) {
-    console.error('Error executing code:', error);
-    res.status(500).json({ error: error.message });
+  if (historyEntries.length > HISTORY_SIZE) {
+    historyEntries.splice(0, historyEntries.length - HISTORY_SIZE);
+    try {
+      fs.writeFileSync(historyFile, historyEntries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    } catch (err) {
+      console.error(`Failed to write history: ${err.message}`);
+    }
   }
-});
+  rl.history = [...historyEntries].reverse();
+}
 
-// Endpoint for streaming execution
-app.post('/execute/stream', async (req, res) => {
+// Remember an input and append it to the history file. Entries are stored
+// as JSON strings, one per line, so multi-line inputs survive.
+function addHistory(input) {
+  if (historyEntries[historyEntries.length - 1] === input) {
+    return;
+  }
+  historyEntries.push(input);
+  if (historyEntries.length > HISTORY_SIZE) {
+    historyEntries.shift();
+  }
+  if (!historyFile) {
+    return;
+  }
   try {
-    const { code } = req.body;
-    if (!code) {
-      return res.status(400).json({ error: 'No code provided' });
+    fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+    fs.appendFileSync(historyFile, JSON.stringify(input) + '\n');
+  } catch (err) {
+    console.error(`Failed to save history, continuing without: ${err.message}`);
+    historyFile = null;
+  }
+}
+
+// .history [n] prints the last n entries, .history grep <pattern> the
+// entries matching a regex
+function historyCommand(args) {
+  let entries = historyEntries.map((entry, index) => [index + 1, entry]);
+  const grep = /^grep\s+(.+)$/.exec(args);
+  if (grep) {
+    const pattern = new RegExp(grep[1], 'i');
+    entries = entries.filter(([, entry]) => pattern.test(entry));
+  } else {
+    const count = args ? Number(args) : 20;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Usage: .history [n] | .history grep <pattern>');
     }
+    entries = entries.slice(-count);
+  }
 
-    // Set headers for SSE
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+  for (const [number, entry] of entries) {
+    console.log(`${String(number).padStart(5)}  ${entry.replace(/\n/g, '\n       ')}`);
+  }
+}
 
-    // Create a unique message handler for this request
-    const messageHandler = (event) => {
-      if (event.method === 'Runtime.consoleAPICalled') {
-        const msg = event.params.args.map(arg => arg.value || arg.description).join(' ');
-        res.write(`data: ${JSON.stringify({ type: 'console', message: msg })}\n\n`);
-      } else if (event.method === 'Runtime.executionContextDestroyed') {
-        res.write(`data: ${JSON.stringify({ type: 'done' })}\n\n`);
-        res.end();
-      }
-    };
+// Write this session's successful inputs to a file that .load or --script
+// can replay
+function saveSession(file) {
+  if (!file) {
+    throw new Error('Usage: .save <file>');
+  }
+  fs.writeFileSync(file, sessionInputs.map(input => input + '\n').join(''));
+  console.log(`Saved ${sessionInputs.length} inputs to ${file}`);
+}
 
-    // Add the message handler
-    if (activeClient) {
-      activeClient.on('Runtime.consoleAPICalled', messageHandler);
-      activeClient.on('Runtime.executionContextDestroyed', messageHandler);
-    }
+// Show the current reverse search match in place of the prompt
+function renderHistorySearch() {
+  const { query, index } = historySearch;
+  const match = index === -1 ? '' : rl.history[index];
+  const failed = index === -1 && query ? 'failed ' : '';
+  rl.setPrompt(`(${failed}reverse-i-search)\`${query}': `);
+  rl.line = match;
+  rl.cursor = match.length;
+  rl._refreshLine();
+}
 
-    // Execute the code
-    const result = await executeJS(code);
-    
-    // Send the final result
-    res.write(`data: ${JSON.stringify({ type: 'result', data: result })}\n\n`);
-    res.end();
+// Index of the next older history entry containing the query
+function searchHistory(query, from) {
+  return rl.history.findIndex((line, index) => index >= from && line.includes(query));
+}
 
-    // Clean up the message handler
-    if (activeClient) {
-      activeClient.removeListener('Runtime.consoleAPICalled', messageHandler);
-      activeClient.removeListener('Runtime.executionContextDestroyed', messageHandler);
-    }
-  } catch (error) {
-    console.error('Error executing code:', error);
-    res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
-    res.end();
+// Leave reverse search, keeping the match as the current line unless cancelled
+function endHistorySearch(cancel) {
+  const { prompt, original } = historySearch;
+  historySearch = null;
+  rl.setPrompt(prompt);
+  if (cancel) {
+    rl.line = original;
+    rl.cursor = original.length;
   }
-});
+  rl._refreshLine();
+}
 
-// Start the Express server
-const serverPort = argv.serverPort;
-app.listen(serverPort, () => {
-  console.log(`Server listening on port ${serverPort}`);
-  console.log(`Targeting Electron app on debugging port ${argv.port}`);
-  
-  // If a script was provided, execute it
-  if (argv.script) {
-    const scriptPath = path.resolve(argv.script);
-    console.log(`Executing script: ${scriptPath}`);
-    
-    try {
-      const scriptContent = fs.readFileSync(scriptPath, 'utf8');
-      executeJS(scriptContent)
-        .then(result => {
-          if (result !== undefined) {
-            console.log('Script execution result:', result);
-          }
-          startREPL();
-        })
-        .catch(err => {
-          console.error('Script execution failed:', err);
-          startREPL();
-        });
-    } catch (err) {
-      console.error(`Failed to read script file: ${err.message}`);
-      startREPL();
+// Ctrl+R starts a reverse search or jumps to the next older match. Returns
+// true if the key was used by the search.
+function historySearchKey(data, key) {
+  if (key.ctrl && key.name === 'r') {
+    if (!historySearch) {
+      historySearch = { query: '', index: -1, prompt: rl.getPrompt(), original: rl.line };
+    } else if (historySearch.query) {
+      const next = searchHistory(historySearch.query, historySearch.index + 1);
+      if (next !== -1) {
+        historySearch.index = next;
+      }
     }
-  } else {
-    // Start the REPL interface
-    startREPL();
+    renderHistorySearch();
+    return true;
+  }
+  if (!historySearch) {
+    return false;
   }
-});
 
-// Make rl globally accessible for console events
-let rl;
+  if ((key.ctrl && (key.name === 'g' || key.name === 'c')) || key.name === 'escape') {
+    endHistorySearch(true);
+    return true;
+  }
+  if (key.name === 'backspace') {
+    historySearch.query = historySearch.query.slice(0, -1);
+    historySearch.index = historySearch.query ? searchHistory(historySearch.query, 0) : -1;
+    renderHistorySearch();
+    return true;
+  }
+  if (!key.ctrl && !key.meta && typeof data === 'string' && data.length === 1 && data >= ' ' && data !== '\x7f') {
+    historySearch.query += data;
+    historySearch.index = searchHistory(historySearch.query, Math.max(historySearch.index, 0));
+    renderHistorySearch();
+    return true;
+  }
+
+  // Any other key accepts the match and is handled as usual
+  endHistorySearch(false);
+  return false;
+}
+
+// Print all debuggable targets, marking the active one
+async function printTargets() {
+  const targets = await injector.listTargets();
+  if (targets.length === 0) {
+    console.log('No debuggable targets found');
+    return;
+  }
+  targets.forEach((target, index) => {
+    const marker = injector.activeClient && injector.activeClient.target.id === target.id ? '*' : ' ';
+    console.log(`${marker} [${index}] ${target.type.padEnd(14)} ${target.id}  ${target.title}`);
+    console.log(`      ${target.url}`);
+  });
+}
 
 // Interactive REPL functionality
 function startREPL() {
   rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
-    historySize: 100,
-    prompt: 'electron-repl> '
+    historySize: HISTORY_SIZE,
+    prompt: 'electron-repl> ',
+    completer
   });
   
-  // Create a history array to store commands
-  const history = [];
-  let historyIndex = 0;
-  
   // Connect to CDP before starting the REPL
-  connectToCDP()
-    .then(() => {
+  injector.connect()
+    .then(async () => {
+      // Attach to the main process early so its console output shows up
+      if (argv.inspectPort) {
+        try {
+          await injector.connectToMain();
+        } catch (err) {
+          // Already reported, the REPL still works for the renderer
+        }
+      }
+
+      await loadHistory();
+
+      for (const file of argv.watch || []) {
+        try {
+          await watchFile(file);
+        } catch (err) {
+          console.error(`Failed to watch ${file}: ${err.message}`);
+        }
+      }
+
       console.log('\n=== Electron DevTools REPL ===');
       console.log('Type JavaScript code to execute in the Electron app');
-      console.log('Special commands:');
-      console.log('  .exit - Exit the REPL');
-      console.log('  .clear - Clear the console');
-      console.log('  .load <file> - Load and execute a JavaScript file');
-      console.log('  .help - Show this help message');
-      console.log('Use up/down arrows to navigate command history\n');
+      printHelp();
+      console.log('Use up/down arrows to navigate command history, Ctrl+R to search it, Tab to complete\n');
       
       rl.prompt();
       
-      rl.on('line', async (line) => {
-        line = line.trim();
+      rl.on('line', async (input) => {
+        // In editor mode everything is collected until Ctrl+D
+        if (editorLines !== null) {
+          editorLines.push(input);
+          return;
+        }
+
+        // Keep reading while brackets or template literals are still open
+        pendingLines.push(input);
+        const source = pendingLines.join('\n');
+        if (!pendingLines[0].trim().startsWith('.') && isIncompleteInput(source)) {
+          rl.setPrompt(CONTINUATION_PROMPT);
+          rl.prompt();
+          return;
+        }
+        pendingLines = [];
+        rl.setPrompt(replPrompt());
+
+        let line = source.trim();
         
         // Skip empty lines
         if (!line) {
@@ -964,38 +3381,173 @@ function startREPL() {
           return;
         }
         
-        // Add to history unless it's a duplicate of the last entry
-        if (history.length === 0 || history[history.length - 1] !== line) {
-          history.push(line);
-          historyIndex = history.length;
+        addHistory(line);
+        // readline keeps the separate lines, make the whole input one Up away
+        if (line.includes('\n')) {
+          rl.history.unshift(line);
         }
         
         // Handle special commands
         if (line === '.exit') {
-          if (activeClient) {
-            activeClient.client.close();
-          }
+          injector.close();
           rl.close();
           process.exit(0);
         } else if (line === '.clear') {
           console.clear();
           rl.prompt();
         } else if (line === '.help') {
-          console.log('Special commands:');
-          console.log('  .exit - Exit the REPL');
-          console.log('  .clear - Clear the console');
-          console.log('  .load <file> - Load and execute a JavaScript file');
-          console.log('  .help - Show this help message');
+          printHelp();
+          rl.prompt();
+        } else if (line === '.targets') {
+          try {
+            await printTargets();
+          } catch (err) {
+            console.error(`Failed to list targets: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line.startsWith('.use ')) {
+          const selector = line.slice(5).trim();
+          try {
+            const target = await injector.use(selector);
+            console.log(`Now using ${target.type} "${targetLabel(target)}" (${target.id})`);
+          } catch (err) {
+            console.error(`Failed to switch target: ${err.message}`);
+          }
+          rl.setPrompt(replPrompt());
+          rl.prompt();
+        } else if (line === '.net' || line.startsWith('.net ')) {
+          try {
+            await toggleNetworkLog(line.slice(4).trim().split(/\s+/).filter(Boolean));
+          } catch (err) {
+            console.error(`Failed to start network monitor: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.har' || line.startsWith('.har ')) {
+          try {
+            await harCommand(line.slice(4).trim().split(/\s+/).filter(Boolean));
+          } catch (err) {
+            console.error(`HAR command failed: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.mock' || line.startsWith('.mock ')) {
+          try {
+            await mockCommand(line.slice(5).trim());
+          } catch (err) {
+            console.error(`Mock command failed: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (/^\.(click|type|press|scroll) /.test(line)) {
+          const command = line.slice(1, line.indexOf(' '));
+          try {
+            await inputCommand(command, line.slice(command.length + 2).trim());
+          } catch (err) {
+            console.error(`${command} failed: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.screenshot' || line.startsWith('.screenshot ')) {
+          try {
+            await screenshotCommand(line.slice(11).trim());
+          } catch (err) {
+            console.error(`Screenshot failed: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.scripts' || line.startsWith('.scripts ')) {
+          try {
+            await scriptsCommand(line.slice(8).trim());
+          } catch (err) {
+            console.error(`Scripts command failed: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.contexts') {
+          try {
+            await printContexts();
+          } catch (err) {
+            console.error(`Failed to list contexts: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line.startsWith('.context ')) {
+          try {
+            await contextCommand(line.slice(9).trim());
+          } catch (err) {
+            console.error(`Failed to switch context: ${err.message}`);
+          }
+          rl.setPrompt(replPrompt());
+          rl.prompt();
+        } else if (line === '.watch' || line.startsWith('.watch ')) {
+          try {
+            await watchCommand(line.slice(6).trim());
+          } catch (err) {
+            console.error(`Failed to watch file: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line.startsWith('.unwatch ')) {
+          const file = line.slice(9).trim();
+          try {
+            const hooks = await unwatchFile(file);
+            console.log(`Stopped watching ${file}, ran ${hooks} onUnload hooks`);
+          } catch (err) {
+            console.error(`Failed to unwatch file: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.observe' || line.startsWith('.observe ')) {
+          try {
+            await observeCommand(line.slice(8).trim());
+          } catch (err) {
+            console.error(`Observe failed: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.logs' || line.startsWith('.logs ')) {
+          try {
+            logsCommand(line.slice(5).trim());
+          } catch (err) {
+            console.error(`Failed to show logs: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.mute' || line.startsWith('.mute ')) {
+          try {
+            muteCommand(line.slice(5).trim());
+          } catch (err) {
+            console.error(err.message);
+          }
+          rl.prompt();
+        } else if (line === '.editor') {
+          startEditor();
+        } else if (line.startsWith('.inspect ')) {
+          try {
+            await inspectCommand(line.slice(9).trim());
+          } catch (err) {
+            console.error(`Inspect failed: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.main' || line === '.renderer') {
+          const context = line.slice(1);
+          try {
+            await switchContext(context);
+            console.log(`Now evaluating in the ${context === 'main' ? 'main process' : 'renderer'}`);
+          } catch (err) {
+            console.error(`Failed to switch to the ${context}: ${err.message}`);
+          }
+          rl.prompt();
+        } else if (line === '.history' || line.startsWith('.history ')) {
+          try {
+            historyCommand(line.slice(8).trim());
+          } catch (err) {
+            console.error(err.message);
+          }
+          rl.prompt();
+        } else if (line === '.save' || line.startsWith('.save ')) {
+          try {
+            saveSession(line.slice(5).trim());
+          } catch (err) {
+            console.error(`Failed to save session: ${err.message}`);
+          }
           rl.prompt();
         } else if (line.startsWith('.load ')) {
           const filePath = line.slice(6).trim();
           try {
             const scriptContent = fs.readFileSync(filePath, 'utf8');
             console.log(`Executing file: ${filePath}`);
-            const result = await executeJS(scriptContent);
-            if (result !== undefined) {
-              console.log(result);
-            }
+            await evaluateInREPL(scriptContent);
           } catch (err) {
             console.error(`Failed to load or execute file: ${err.message}`);
           }
@@ -1003,10 +3555,8 @@ function startREPL() {
         } else {
           // Execute JavaScript in the Electron app
           try {
-            const result = await executeJS(line);
-            // Only display result if it's not undefined and not a console.log statement (which already outputs)
-            if (result !== undefined && !line.trim().startsWith('console.log')) {
-              console.log(result);
+            if (await evaluateInREPL(line)) {
+              sessionInputs.push(line);
             }
           } catch (err) {
             console.error('Execution error:', err);
@@ -1017,39 +3567,28 @@ function startREPL() {
       
       // Handle Ctrl+C to exit gracefully
       rl.on('SIGINT', () => {
-        console.log('\nExiting...');
-        if (activeClient) {
-          activeClient.client.close();
+        if (cancelPendingInput()) {
+          return;
         }
+        console.log('\nExiting...');
+        injector.close();
         rl.close();
         process.exit(0);
       });
       
-      // Custom key handling for history navigation
-      rl.input.on('keypress', (_, key) => {
-        if (!key) return;
-        
-        if (key.name === 'up') {
-          if (historyIndex > 0) {
-            historyIndex--;
-            rl.line = history[historyIndex];
-            rl.cursor = rl.line.length;
-            rl._refreshLine();
-          }
-        } else if (key.name === 'down') {
-          if (historyIndex < history.length - 1) {
-            historyIndex++;
-            rl.line = history[historyIndex];
-            rl.cursor = rl.line.length;
-            rl._refreshLine();
-          } else if (historyIndex === history.length - 1) {
-            historyIndex = history.length;
-            rl.line = '';
-            rl.cursor = 0;
-            rl._refreshLine();
-          }
+      // Ctrl+D finishes editor mode instead of closing the REPL, Ctrl+R
+      // searches the history
+      const ttyWrite = rl._ttyWrite.bind(rl);
+      rl._ttyWrite = (data, key) => {
+        if (editorLines !== null && key && key.ctrl && key.name === 'd') {
+          finishEditor();
+          return;
         }
-      });
+        if (key && historySearchKey(data, key)) {
+          return;
+        }
+        ttyWrite(data, key);
+      };
     })
     .catch(err => {
       console.error('Failed to start REPL:', err);
@@ -1057,17 +3596,453 @@ function startREPL() {
     });
 }
 
+// Special commands of the `repl` client, which does everything through the
+// API of a running server
+const REMOTE_REPL_COMMANDS = [
+  ['.exit', 'Exit the REPL, the server keeps running'],
+  ['.clear', 'Clear the console'],
+  ['.load <file>', 'Load and execute a JavaScript file'],
+  ['.status', 'Show whether the server is connected to the app'],
+  ['.targets', 'List all debuggable targets'],
+  ['.use <id|pattern>', 'Evaluate in another target, for this client only'],
+  ['.use', 'Evaluate in the server\'s active target again'],
+  ['.contexts', 'List the execution contexts of the target (worlds, frames)'],
+  ['.context <id|default>', 'Evaluate in another execution context'],
+  ['.logs [level] [grep]', 'Show recent console output, exceptions and log entries'],
+  ['.main', 'Evaluate in the main process (needs --inspect-port on the server)'],
+  ['.renderer', 'Evaluate in the renderer (default)'],
+  ['.help', 'Show this help message']
+];
+
+// Call the HTTP API of a running server, on --socket or --host and
+// --server-port. Resolves to the JSON response, rejects with its error.
+function apiRequest(method, route, body) {
+  const address = argv.socket
+    ? { socketPath: path.resolve(argv.socket) }
+    : { host: argv.host, port: argv.serverPort };
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      ...address,
+      method,
+      path: route,
+      headers: { Authorization: `Bearer ${argv.token}`, 'Content-Type': 'application/json' }
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (e) {
+          reject(new Error(`Unexpected response (${res.statusCode}): ${data.substring(0, 100)}`));
+          return;
+        }
+        if (res.statusCode >= 400 && json.error) {
+          reject(new Error(json.error));
+        } else {
+          resolve(json);
+        }
+      });
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+// The `repl` command: an interactive REPL attached to a running server (one
+// started with --daemon, typically) over its WebSocket channel. Several
+// clients can share the server's connection to the app; `.use`, `.context`
+// and `.main` only change where this client's code runs.
+function startRemoteREPL() {
+  if (!argv.token) {
+    console.error('The repl command needs the API token of the server, pass it with --token');
+    process.exit(1);
+  }
+
+  const url = argv.socket
+    ? `ws+unix://${path.resolve(argv.socket)}:/ws`
+    : `ws://${argv.host}:${argv.serverPort}/ws`;
+  const ws = new WebSocket(url, { headers: { Authorization: `Bearer ${argv.token}` } });
+
+  // Evaluations waiting for their result, by request id
+  const pending = new Map();
+  let nextRequestId = 1;
+  // Target id of the server's active target, to prefix output like the REPL
+  let activeSource = null;
+  let target;
+  let context = 'renderer';
+  let contextId;
+
+  const prompt = () => {
+    const where = (target ? `@${target}` : '') + (context === 'main' ? '(main)' : contextId !== undefined ? `[${contextId}]` : '');
+    return `electron-repl${where}> `;
+  };
+
+  const evaluate = code => new Promise((resolve) => {
+    const id = nextRequestId++;
+    pending.set(id, resolve);
+    ws.send(JSON.stringify({ id, code, target, context, contextId, replMode: true }));
+  });
+
+  const printResult = ({ type, result, error }) => {
+    if (type === 'error') {
+      console.log({ error });
+    } else if (result !== undefined) {
+      printPreview(result);
+    }
+  };
+
+  const printStatus = async () => {
+    const health = await apiRequest('GET', '/health');
+    activeSource = health.target ? health.target.id : null;
+    if (health.target) {
+      console.log(`Server connected to ${health.target.type} "${health.target.title || health.target.url}" (${health.target.id}), ${health.attached} targets attached${health.main ? ', main process too' : ''}`);
+    } else {
+      console.log(`Server ${health.status === 'waiting' ? 'is waiting for' : 'is not connected to'} the app on port ${health.port}`);
+    }
+  };
+
+  const printRemoteTargets = async () => {
+    const { targets } = await apiRequest('GET', '/targets');
+    if (targets.length === 0) {
+      console.log('No debuggable targets found');
+      return;
+    }
+    targets.forEach((t, index) => {
+      console.log(`${t.active ? '*' : ' '} [${index}] ${t.type.padEnd(14)} ${t.id}  ${t.title}`);
+      console.log(`      ${t.url}`);
+    });
+  };
+
+  const printRemoteContexts = async () => {
+    const query = target ? `?target=${encodeURIComponent(target)}` : '';
+    const { contexts } = await apiRequest('GET', `/contexts${query}`);
+    for (const c of contexts) {
+      const selected = contextId !== undefined ? c.id === contextId : c.selected;
+      console.log(`${selected ? '*' : ' '} ${String(c.id).padEnd(4)} ${c.type.padEnd(8)} ${c.name || '(main world)'}  ${c.origin}  frame ${c.frameId}`);
+    }
+  };
+
+  const printRemoteLogs = async (args) => {
+    const { level, grep } = parseLogsArgs(args);
+    const query = new URLSearchParams({ tail: LOGS_SHOWN });
+    if (level) {
+      query.set('level', level);
+    }
+    if (grep) {
+      query.set('grep', grep);
+    }
+    const { logs } = await apiRequest('GET', `/logs?${query}`);
+    if (logs.length === 0) {
+      console.log('No matching log entries');
+      return;
+    }
+    printLogRecords(logs);
+  };
+
+  const runCommand = async (line) => {
+    if (line === '.exit') {
+      ws.close();
+      rl.close();
+      process.exit(0);
+    } else if (line === '.clear') {
+      console.clear();
+    } else if (line === '.help') {
+      console.log('Special commands:');
+      for (const [usage, description] of REMOTE_REPL_COMMANDS) {
+        console.log(`  ${usage} - ${description}`);
+      }
+    } else if (line === '.status') {
+      await printStatus();
+    } else if (line === '.targets') {
+      await printRemoteTargets();
+    } else if (line === '.use') {
+      target = undefined;
+      contextId = undefined;
+      console.log('Now using the active target of the server');
+    } else if (line.startsWith('.use ')) {
+      const selector = line.slice(5).trim();
+      // Attaches to the target, and fails if nothing matches
+      await apiRequest('GET', `/contexts?target=${encodeURIComponent(selector)}`);
+      target = selector;
+      contextId = undefined;
+      console.log(`Now using "${selector}" for this client`);
+    } else if (line === '.contexts') {
+      await printRemoteContexts();
+    } else if (line.startsWith('.context ')) {
+      const selector = line.slice(9).trim();
+      if (selector === 'default') {
+        contextId = undefined;
+      } else if (/^\d+$/.test(selector)) {
+        contextId = Number(selector);
+      } else {
+        throw new Error('Usage: .context <id|default>, see .contexts for the ids');
+      }
+    } else if (line === '.logs' || line.startsWith('.logs ')) {
+      await printRemoteLogs(line.slice(5).trim());
+    } else if (line === '.main' || line === '.renderer') {
+      context = line.slice(1);
+      console.log(`Now evaluating in the ${context === 'main' ? 'main process' : 'renderer'}`);
+    } else if (line.startsWith('.load ')) {
+      const filePath = line.slice(6).trim();
+      const scriptContent = fs.readFileSync(filePath, 'utf8');
+      console.log(`Executing file: ${filePath}`);
+      printResult(await evaluate(scriptContent));
+    } else if (/^\.[a-z]+(\s|$)/.test(line)) {
+      throw new Error(`${line.split(/\s/)[0]} is not available in the remote REPL, see .help`);
+    } else {
+      printResult(await evaluate(line));
+    }
+  };
+
+  ws.on('message', (data) => {
+    const message = JSON.parse(data);
+    if (message.id !== undefined && pending.has(message.id)) {
+      pending.get(message.id)(message);
+      pending.delete(message.id);
+      return;
+    }
+
+    const prefix = kind => message.source === 'main'
+      ? `[Main ${kind}]:`
+      : message.source === activeSource ? `[App ${kind}]:` : `[App ${kind} @ ${message.source}]:`;
+    if (message.type === 'console') {
+      printAbovePrompt(prefix(message.level), message.message);
+    } else if (message.type === 'exception') {
+      printAbovePrompt(prefix('exception'), message.stack ? `${message.message}\n${message.stack}` : message.message);
+    } else if (message.type === 'connection') {
+      printAbovePrompt(`[Connection] ${message.message}`);
+      // The active target may have changed
+      apiRequest('GET', '/health')
+        .then(health => {
+          activeSource = health.target ? health.target.id : null;
+        })
+        .catch(() => {});
+    }
+  });
+
+  ws.on('error', (err) => {
+    console.error(`Failed to connect to the server at ${url}: ${err.message}`);
+    process.exit(1);
+  });
+
+  ws.on('close', () => {
+    if (rl) {
+      printAbovePrompt('[Connection] Lost connection to the server');
+    }
+    process.exit(1);
+  });
+
+  ws.on('open', async () => {
+    console.log(`Attached to the server at ${url}`);
+    try {
+      await printStatus();
+    } catch (err) {
+      console.error(`Failed to get the server status: ${err.message}`);
+    }
+
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      historySize: HISTORY_SIZE,
+      prompt: prompt()
+    });
+    console.log('Type JavaScript code to execute in the Electron app, .help for commands\n');
+    rl.prompt();
+
+    rl.on('line', async (input) => {
+      // Keep reading while brackets or template literals are still open
+      pendingLines.push(input);
+      const source = pendingLines.join('\n');
+      if (!pendingLines[0].trim().startsWith('.') && isIncompleteInput(source)) {
+        rl.setPrompt(CONTINUATION_PROMPT);
+        rl.prompt();
+        return;
+      }
+      pendingLines = [];
+
+      const line = source.trim();
+      if (line) {
+        try {
+          await runCommand(line);
+        } catch (err) {
+          console.error(err.message);
+        }
+      }
+      rl.setPrompt(prompt());
+      rl.prompt();
+    });
+
+    rl.on('SIGINT', () => {
+      // Drop an incomplete input first
+      if (pendingLines.length > 0) {
+        pendingLines = [];
+        process.stdout.write('\n');
+        rl.setPrompt(prompt());
+        rl.prompt();
+        return;
+      }
+      console.log('\nExiting...');
+      ws.close();
+      rl.close();
+      process.exit(0);
+    });
+  });
+}
+
+// Commands that evaluate once, print the result and exit
+const ONE_SHOT_COMMANDS = ['exec', 'run', 'wait-for'];
+
+// Exit codes of the one-shot commands when the code threw (or the app
+// couldn't be reached) and when it took longer than --timeout
+const EXIT_ERROR = 1;
+const EXIT_TIMEOUT = 2;
+
+// Extra time wait-for gives the page, so waitForElement() reports the
+// timeout itself
+const WAIT_FOR_TIMEOUT_MARGIN = 2000;
+
+// The code a one-shot command evaluates, given the parsed command line
+function oneShotCode(command, options) {
+  if (command === 'exec') {
+    return options.code;
+  }
+  if (command === 'run') {
+    const file = path.resolve(options.file);
+    let args = null;
+    if (options.args !== undefined) {
+      try {
+        args = JSON.parse(options.args);
+      } catch (err) {
+        throw new Error(`--args is not valid JSON: ${err.message}`);
+      }
+    }
+    // The block keeps `args` and the file's declarations out of the page's
+    // global scope. `args` goes on the file's first line, so line numbers in
+    // stack traces still match.
+    return `{ const args = ${JSON.stringify(args)}; ${fs.readFileSync(file, 'utf8')}\n}\n//# sourceURL=${pathToFileURL(file)}`;
+  }
+  const waitOptions = { timeout: options.timeout, visible: options.visible };
+  return `waitForElement(${JSON.stringify(options.selector)}, ${JSON.stringify(waitOptions)}).then(safeSelector)`;
+}
+
+// How a one-shot command ends for a result: its exit code and the output
+// to print, to stderr for errors unless `json` is set
+function oneShotOutcome(command, result, json) {
+  if (result && result.error) {
+    const timedOut = command === 'wait-for' && /Timed out after \d+ms/.test(result.stack);
+    const exitCode = timedOut ? EXIT_TIMEOUT : EXIT_ERROR;
+    return json
+      ? { exitCode, output: JSON.stringify(result, null, 2), stderr: false }
+      : { exitCode, output: result.stack || result.error, stderr: true };
+  }
+  if (json) {
+    return { exitCode: 0, output: JSON.stringify(result === undefined ? null : result, null, 2), stderr: false };
+  }
+  if (typeof result === 'string' || result === undefined) {
+    return { exitCode: 0, output: result, stderr: false };
+  }
+  const output = util.inspect(previewToInspectable(result), { depth: null, colors: process.stdout.isTTY });
+  return { exitCode: 0, output, stderr: false };
+}
+
+// Print the output of a one-shot command and exit once it is written, as
+// process.exit() can cut off output to a pipe
+function exitOneShot(code, output, stream = process.stdout) {
+  if (output === undefined) {
+    process.exit(code);
+  }
+  stream.write(`${output}\n`, () => process.exit(code));
+}
+
+// The exec, run and wait-for commands: evaluate once through a running
+// server (--server) or a connection of their own, print the result as text
+// or --json and exit non-zero if the code threw or timed out
+async function runOneShot(command) {
+  let code;
+  try {
+    code = oneShotCode(command, argv);
+  } catch (err) {
+    exitOneShot(EXIT_ERROR, err.message, process.stderr);
+    return;
+  }
+
+  const timeout = argv.timeout + (command === 'wait-for' ? WAIT_FOR_TIMEOUT_MARGIN : 0);
+  setTimeout(() => {
+    exitOneShot(EXIT_TIMEOUT, `Timed out after ${timeout}ms`, process.stderr);
+  }, timeout);
+
+  let result;
+  try {
+    if (argv.server) {
+      ({ result } = await apiRequest('POST', '/execute', { code, target: argv.target, depth: argv.depth, replMode: true }));
+    } else {
+      // A quiet injector of its own, so nothing but the result goes to stdout
+      const oneShotInjector = new ElectronInjector({ port: argv.port, target: argv.target, inspectPort: argv.inspectPort });
+      result = await oneShotInjector.evaluate(code, { depth: argv.depth, replMode: true });
+      oneShotInjector.close();
+    }
+  } catch (err) {
+    result = { error: err.message };
+  }
+
+  const { exitCode, output, stderr } = oneShotOutcome(command, result, argv.json);
+  exitOneShot(exitCode, output, stderr ? process.stderr : process.stdout);
+}
+
 // Handle clean shutdown
-process.on('SIGINT', () => {
+function shutdown() {
   console.log('\nShutting down...');
-  if (activeClient) {
-    activeClient.client.close();
-  }
+  injector.close();
   process.exit(0);
-});
+}
 
-process.on('exit', () => {
-  if (activeClient) {
-    activeClient.client.close();
+// Run as a command; tests require the module for its helpers instead
+if (require.main === module) {
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  process.on('exit', () => {
+    injector.close();
+    stopApp();
+    if (listeningSocket && fs.existsSync(listeningSocket)) {
+      fs.unlinkSync(listeningSocket);
+    }
+  });
+
+  // `repl` attaches to a running server instead of starting one; the one-shot
+  // commands exit once they are done
+  if (argv._[0] === 'repl') {
+    startRemoteREPL();
+  } else if (ONE_SHOT_COMMANDS.includes(argv._[0])) {
+    runOneShot(argv._[0]);
+  } else if (argv.launch) {
+    launchApp()
+      .then(startServer)
+      .catch(err => {
+        console.error(`Failed to launch ${argv.launch}: ${err.message}`);
+        process.exit(1);
+      });
+  } else {
+    startServer();
   }
-});
\ No newline at end of file
+}
+
+module.exports = {
+  buildHar,
+  addMockRule,
+  removeMockRule,
+  findMockRule,
+  keyDefinition,
+  parseKeyCombo,
+  parseObservePayload,
+  isIncompleteInput,
+  oneShotCode,
+  oneShotOutcome,
+  EXIT_ERROR,
+  EXIT_TIMEOUT
+};
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildHar } = require('../server');
+
+test('buildHar turns network events into one entry per request', () => {
+  const har = buildHar([
+    { requestId: 'R1', type: 'request-start', url: 'https://api.test/items?page=2', method: 'POST', timestamp: 1000, headers: { 'Content-Type': 'application/json' } },
+    { requestId: 'R1', type: 'request-body', body: { q: 1 }, timestamp: 1001 },
+    { requestId: 'R2', type: 'request-start', url: 'https://api.test/other', method: 'GET', timestamp: 1002, headers: {} },
+    {
+      requestId: 'R1',
+      type: 'response-complete',
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/json' },
+      mimeType: 'application/json',
+      body: { items: [1, 2] },
+      duration: 42,
+      timestamp: 1042
+    },
+    { requestId: 'R2', type: 'error', error: 'net::ERR_FAILED', timestamp: 1010 }
+  ]);
+
+  assert.strictEqual(har.log.version, '1.2');
+  assert.strictEqual(har.log.entries.length, 2);
+
+  const [ok, failed] = har.log.entries;
+  assert.strictEqual(ok.request.method, 'POST');
+  assert.deepStrictEqual(ok.request.queryString, [{ name: 'page', value: '2' }]);
+  assert.deepStrictEqual(ok.request.postData, { mimeType: 'application/json', text: '{"q":1}' });
+  assert.strictEqual(ok.response.status, 200);
+  assert.strictEqual(ok.response.content.text, '{"items":[1,2]}');
+  assert.strictEqual(ok.response.content.mimeType, 'application/json');
+  assert.strictEqual(ok.time, 42);
+  assert.strictEqual(ok.startedDateTime, new Date(1000).toISOString());
+
+  assert.strictEqual(failed.response.status, 0);
+  assert.strictEqual(failed.response._error, 'net::ERR_FAILED');
+  assert.strictEqual(failed.time, 8);
+});
+
+test('buildHar treats a messageLog without request ids as a single request', () => {
+  const har = buildHar([
+    { type: 'request-start', url: '/api/stream', method: 'GET', timestamp: 0 },
+    { type: 'response-complete', status: 204, headers: {}, body: null, duration: 5, timestamp: 5 }
+  ]);
+
+  assert.strictEqual(har.log.entries.length, 1);
+  assert.strictEqual(har.log.entries[0].request.url, '/api/stream');
+  assert.strictEqual(har.log.entries[0].response.status, 204);
+  assert.strictEqual(har.log.entries[0].response.content.text, '');
+});
+
+test('buildHar keeps WebSocket frames and base64 bodies', () => {
+  const har = buildHar([
+    { requestId: 'W1', type: 'websocket-open', url: 'wss://ws.test/', timestamp: 0 },
+    { requestId: 'W1', type: 'websocket-frame-sent', opcode: 1, data: { hello: true }, timestamp: 10 },
+    { requestId: 'W1', type: 'websocket-frame-received', opcode: 1, data: 'pong', timestamp: 20 },
+    { requestId: 'I1', type: 'request-start', url: 'https://cdn.test/a.png', method: 'GET', timestamp: 0 },
+    { requestId: 'I1', type: 'response-complete', status: 200, headers: {}, mimeType: 'image/png', body: 'AAEC', base64Encoded: true, duration: 1 }
+  ]);
+
+  const [socket, image] = har.log.entries;
+  assert.deepStrictEqual(socket._webSocketMessages, [
+    { type: 'send', time: 0.01, opcode: 1, data: '{"hello":true}' },
+    { type: 'receive', time: 0.02, opcode: 1, data: 'pong' }
+  ]);
+  assert.strictEqual(image.response.content.encoding, 'base64');
+  assert.strictEqual(image.response.content.size, 3);
+});
+
+test('buildHar skips requests it never saw start', () => {
+  const har = buildHar([{ requestId: 'X', type: 'response-complete', status: 200, headers: {}, duration: 1 }]);
+  assert.deepStrictEqual(har.log.entries, []);
+});
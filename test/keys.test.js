@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { keyDefinition, parseKeyCombo } = require('../server');
+
+test('keyDefinition maps letters, digits and symbols to their keys', () => {
+  assert.deepStrictEqual(keyDefinition('a'), { key: 'a', code: 'KeyA', keyCode: 65, text: 'a' });
+  assert.deepStrictEqual(keyDefinition('7'), { key: '7', code: 'Digit7', keyCode: 55, text: '7' });
+  assert.deepStrictEqual(keyDefinition('/'), { key: '/', code: 'Slash', keyCode: 191, text: '/' });
+  assert.deepStrictEqual(keyDefinition('é'), { key: 'é', code: '', keyCode: 0, text: 'é' });
+});
+
+test('keyDefinition types the shifted character with Shift', () => {
+  assert.deepStrictEqual(keyDefinition('a', true), { key: 'A', code: 'KeyA', keyCode: 65, text: 'A' });
+  assert.deepStrictEqual(keyDefinition('1', true), { key: '!', code: 'Digit1', keyCode: 49, text: '!' });
+  assert.deepStrictEqual(keyDefinition('0', true), { key: ')', code: 'Digit0', keyCode: 48, text: ')' });
+  assert.deepStrictEqual(keyDefinition('/', true), { key: '?', code: 'Slash', keyCode: 191, text: '?' });
+  assert.deepStrictEqual(keyDefinition('\\', true), { key: '|', code: 'Backslash', keyCode: 220, text: '|' });
+});
+
+test('keyDefinition knows named keys and function keys', () => {
+  assert.deepStrictEqual(keyDefinition('Enter'), { key: 'Enter', code: 'Enter', keyCode: 13, text: '\r' });
+  assert.deepStrictEqual(keyDefinition('Space'), { key: ' ', code: 'Space', keyCode: 32, text: ' ' });
+  assert.deepStrictEqual(keyDefinition('Tab', true), { key: 'Tab', code: 'Tab', keyCode: 9 });
+  assert.deepStrictEqual(keyDefinition('F12'), { key: 'F12', code: 'F12', keyCode: 123 });
+  assert.throws(() => keyDefinition('F13'), /Unknown key "F13"/);
+  assert.throws(() => keyDefinition('Hyper'), /Unknown key "Hyper"/);
+});
+
+test('parseKeyCombo splits modifiers from the main key', () => {
+  const keys = combo => {
+    const { modifiers, keyName } = parseKeyCombo(combo);
+    return [modifiers.map(modifier => modifier.key), keyName];
+  };
+  assert.deepStrictEqual(keys('Enter'), [[], 'Enter']);
+  assert.deepStrictEqual(keys('Ctrl+Shift+z'), [['Control', 'Shift'], 'z']);
+  assert.deepStrictEqual(keys('Cmd+A'), [['Meta'], 'A']);
+  assert.deepStrictEqual(keys('+'), [[], '+']);
+  assert.deepStrictEqual(keys('Control++'), [['Control'], '+']);
+  assert.deepStrictEqual(keys('Control+Shift++'), [['Control', 'Shift'], '+']);
+  assert.throws(() => parseKeyCombo('Hyper+A'), /Unknown modifier "Hyper"/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { addMockRule, removeMockRule, findMockRule } = require('../server');
+
+test('findMockRule matches by URL regex and method, first rule first', (t) => {
+  const post = addMockRule({ url: '/api/items', method: 'post', action: 'fulfill', body: [] });
+  const any = addMockRule({ url: '/api/', action: 'fail', errorReason: 'Failed' });
+  t.after(() => {
+    removeMockRule(post.id);
+    removeMockRule(any.id);
+  });
+
+  assert.strictEqual(post.method, 'POST');
+  assert.strictEqual(findMockRule({ url: 'https://x.test/api/items', method: 'POST' }, false), post);
+  assert.strictEqual(findMockRule({ url: 'https://x.test/api/items', method: 'GET' }, false), any);
+  assert.strictEqual(findMockRule({ url: 'https://x.test/static/app.js', method: 'GET' }, false), undefined);
+});
+
+test('findMockRule only offers response rules at the response stage', (t) => {
+  const request = addMockRule({ url: 'status', action: 'modify', requestHeaders: { 'X-Test': '1' } });
+  const response = addMockRule({ url: 'status', action: 'modify', json: { 'data.ok': false } });
+  t.after(() => {
+    removeMockRule(request.id);
+    removeMockRule(response.id);
+  });
+
+  assert.strictEqual(findMockRule({ url: '/status', method: 'GET' }, false), request);
+  assert.strictEqual(findMockRule({ url: '/status', method: 'GET' }, true), response);
+});
+
+test('addMockRule checks rules and resolves files against the base directory', (t) => {
+  assert.throws(() => addMockRule({ action: 'fulfill' }), /needs a "url" regex/);
+  assert.throws(() => addMockRule({ url: 'x', action: 'explode' }), /Unknown mock action "explode"/);
+  assert.throws(() => addMockRule({ url: 'x', action: 'modify', requestHeaders: { 'X-Test': '1' }, json: { ok: true } }),
+    /"requestHeaders" only goes with a modify rule/);
+  assert.throws(() => addMockRule({ url: 'x', action: 'fulfill', requestHeaders: { 'X-Test': '1' }, body: 'ok' }),
+    /"requestHeaders" only goes with a modify rule/);
+
+  const rule = addMockRule({ id: 'fixture', url: 'x', action: 'fulfill', file: 'body.json' }, '/fixtures');
+  t.after(() => removeMockRule(rule.id));
+  assert.strictEqual(rule.file, path.resolve('/fixtures', 'body.json'));
+  assert.throws(() => addMockRule({ id: 'fixture', url: 'y', action: 'fail' }), /already exists/);
+});
+
+test('removeMockRule rejects unknown ids', () => {
+  assert.throws(() => removeMockRule('missing'), /No mock rule with id "missing"/);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseObservePayload } = require('../server');
+
+test('parseObservePayload reads the events observers send', () => {
+  assert.deepStrictEqual(
+    parseObservePayload(JSON.stringify({ id: 3, type: 'added', selector: '#list > li', text: 'hello', extra: 'dropped' })),
+    { id: 3, type: 'added', selector: '#list > li', text: 'hello' }
+  );
+  assert.deepStrictEqual(
+    parseObservePayload(JSON.stringify({ id: 3, type: 'removed', selector: 'li', text: null })),
+    { id: 3, type: 'removed', selector: 'li', text: undefined }
+  );
+});
+
+test('parseObservePayload ignores payloads page scripts made up', () => {
+  for (const payload of ['x', '', 'null', '[1]', '"event"', '{"id":1}', '{"id":"1","type":"added","selector":"li"}', '{"id":1,"type":2,"selector":"li"}']) {
+    assert.strictEqual(parseObservePayload(payload), null, payload);
+  }
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { oneShotCode, oneShotOutcome, EXIT_ERROR, EXIT_TIMEOUT } = require('../server');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+// Run the command line tool, resolving to its exit code and output
+function runCli(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [SERVER, ...args], { timeout: 10000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test('oneShotOutcome prints results and exits 0', () => {
+  assert.deepStrictEqual(oneShotOutcome('exec', 'title', false), { exitCode: 0, output: 'title', stderr: false });
+  assert.deepStrictEqual(oneShotOutcome('exec', undefined, false), { exitCode: 0, output: undefined, stderr: false });
+  assert.deepStrictEqual(oneShotOutcome('exec', undefined, true), { exitCode: 0, output: 'null', stderr: false });
+  assert.deepStrictEqual(oneShotOutcome('run', { a: [1] }, true), { exitCode: 0, output: '{\n  "a": [\n    1\n  ]\n}', stderr: false });
+});
+
+test('oneShotOutcome exits with EXIT_ERROR when the code threw', () => {
+  const thrown = { error: 'Uncaught', stack: 'Error: boom\n    at <anonymous>:1:7' };
+  assert.deepStrictEqual(oneShotOutcome('exec', thrown, false), { exitCode: EXIT_ERROR, output: thrown.stack, stderr: true });
+  assert.deepStrictEqual(oneShotOutcome('exec', thrown, true),
+    { exitCode: EXIT_ERROR, output: JSON.stringify(thrown, null, 2), stderr: false });
+  assert.deepStrictEqual(oneShotOutcome('exec', { error: 'connect ECONNREFUSED' }, false),
+    { exitCode: EXIT_ERROR, output: 'connect ECONNREFUSED', stderr: true });
+});
+
+test('oneShotOutcome exits with EXIT_TIMEOUT when wait-for times out in the page', () => {
+  const timedOut = { error: 'Uncaught', stack: 'Error: Timed out after 500ms waiting for "#app"\n    at <anonymous>' };
+  assert.strictEqual(oneShotOutcome('wait-for', timedOut, false).exitCode, EXIT_TIMEOUT);
+  assert.strictEqual(oneShotOutcome('exec', timedOut, false).exitCode, EXIT_ERROR);
+  assert.notStrictEqual(EXIT_ERROR, EXIT_TIMEOUT);
+});
+
+test('oneShotCode runs files in a block with their args', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'electron-inject-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'check.js');
+  fs.writeFileSync(file, 'const doubled = args.n * 2;\ndoubled');
+
+  const code = oneShotCode('run', { file, args: '{"n":21}' });
+  assert.match(code, /^\{ const args = \{"n":21\}; const doubled/);
+  assert.match(code, /\/\/# sourceURL=file:\/\/.*check\.js$/);
+  // The file's lines keep their numbers and its value is the block's value
+  assert.strictEqual(require('vm').runInNewContext(code), 42);
+
+  assert.throws(() => oneShotCode('run', { file, args: '{bad' }), /--args is not valid JSON/);
+});
+
+test('oneShotCode waits for elements and prints a deep selector', () => {
+  assert.strictEqual(oneShotCode('exec', { code: 'document.title' }), 'document.title');
+  assert.strictEqual(
+    oneShotCode('wait-for', { selector: '#app', timeout: 500, visible: true }),
+    'waitForElement("#app", {"timeout":500,"visible":true}).then(safeSelector)'
+  );
+});
+
+test('exec exits with EXIT_ERROR when the app is not reachable', async () => {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  const { code, stdout, stderr } = await runCli(['exec', '1', '--port', String(port)]);
+  assert.strictEqual(code, EXIT_ERROR);
+  assert.strictEqual(stdout, '');
+  assert.match(stderr, /ECONNREFUSED/);
+});
+
+test('exec exits with EXIT_TIMEOUT when the app does not answer in time', async (t) => {
+  // Accepts connections and never answers
+  const sockets = [];
+  const server = net.createServer(socket => sockets.push(socket)).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+  });
+
+  const { code, stderr } = await runCli(['exec', '1', '--port', String(server.address().port), '--timeout', '300']);
+  assert.strictEqual(code, EXIT_TIMEOUT);
+  assert.match(stderr, /Timed out after 300ms/);
+});
+
+test('run exits with EXIT_ERROR on invalid --args', async () => {
+  const { code, stderr } = await runCli(['run', SERVER, '--args', '{bad']);
+  assert.strictEqual(code, EXIT_ERROR);
+  assert.match(stderr, /--args is not valid JSON/);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { ElectronInjector, buildPreview, PLAIN_VALUE_FUNCTION, previewToInspectable } = require('../injector');
+
+// A stand-in for the CDP Runtime domain, serving the properties of remote
+// objects by objectId and the by-value copies of plain ones
+function fakeRuntime(objects, plainValues = {}) {
+  return {
+    async getProperties({ objectId }) {
+      const properties = objects[objectId].map(([name, value]) => ({ name, value, enumerable: true }));
+      return { result: properties, internalProperties: [] };
+    },
+    async callFunctionOn({ objectId }) {
+      return { result: objectId in plainValues ? { type: 'object', value: plainValues[objectId] } : { type: 'undefined' } };
+    },
+    async releaseObjectGroup() {}
+  };
+}
+
+const number = value => ({ type: 'number', value, description: String(value) });
+const object = (objectId, extra = {}) => ({ type: 'object', className: 'Object', objectId, ...extra });
+
+test('buildPreview returns primitives as they are', async () => {
+  const Runtime = fakeRuntime({});
+  assert.strictEqual(await buildPreview(Runtime, { type: 'string', value: 'x' }), 'x');
+  assert.strictEqual(await buildPreview(Runtime, { type: 'undefined' }), undefined);
+  assert.strictEqual(await buildPreview(Runtime, { type: 'object', subtype: 'null', value: null }), null);
+  assert.deepStrictEqual(await buildPreview(Runtime, { type: 'number', unserializableValue: 'NaN', description: 'NaN' }),
+    { '@type': 'number', '@description': 'NaN' });
+});
+
+test('buildPreview expands objects and arrays down to the depth', async () => {
+  const Runtime = fakeRuntime({
+    outer: [['inner', object('inner')], ['n', number(1)]],
+    inner: [['list', object('list', { subtype: 'array', className: 'Array' })]],
+    list: [['0', number(2)], ['length', number(1)]]
+  });
+
+  assert.deepStrictEqual(await buildPreview(Runtime, object('outer'), 2), { inner: { list: [2] }, n: 1 });
+  assert.deepStrictEqual(await buildPreview(Runtime, object('outer'), 1),
+    { inner: { list: { '@type': 'Array', '@truncated': true } }, n: 1 });
+});
+
+test('buildPreview describes DOM nodes, functions and class instances', async () => {
+  const Runtime = fakeRuntime({ point: [['x', number(1)]] });
+  assert.deepStrictEqual(await buildPreview(Runtime, { type: 'object', subtype: 'node', className: 'HTMLDivElement', description: 'div#app', objectId: 'n' }),
+    { '@type': 'HTMLDivElement', '@description': 'div#app' });
+  assert.deepStrictEqual(await buildPreview(Runtime, { type: 'function', className: 'Function', description: 'function f() {}', objectId: 'f' }),
+    { '@type': 'Function', '@description': 'function f() {}' });
+  assert.deepStrictEqual(await buildPreview(Runtime, object('point', { className: 'Point' })), { '@type': 'Point', x: 1 });
+});
+
+test('previewToInspectable rebuilds Maps and class names for util.inspect', () => {
+  const inspectable = previewToInspectable({ '@type': 'Map', '@entries': [['a', 1]] });
+  assert.ok(inspectable instanceof Map);
+  assert.strictEqual(inspectable.get('a'), 1);
+});
+
+test('PLAIN_VALUE_FUNCTION passes plain data through and nothing else', () => {
+  const context = vm.createContext({});
+  // Copied out of the context, whose objects have prototypes of their own
+  const plainValue = (code) => {
+    const value = vm.runInContext(`(${PLAIN_VALUE_FUNCTION}).call(${code})`, context);
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  };
+
+  assert.deepStrictEqual(plainValue('{ a: [1, "b", null, { c: true }] }'), { a: [1, 'b', null, { c: true }] });
+  assert.deepStrictEqual(plainValue('Object.assign(Object.create(null), { a: 1 })'), { a: 1 });
+  assert.strictEqual(plainValue('(() => { const o = {}; o.self = o; return o; })()'), undefined);
+  assert.strictEqual(plainValue('{ when: new Date(0) }'), undefined);
+  assert.strictEqual(plainValue('{ f() {} }'), undefined);
+  assert.strictEqual(plainValue('{ n: NaN }'), undefined);
+  assert.strictEqual(plainValue('new Map()'), undefined);
+});
+
+test('evaluate returns plain JSON data whole, however deep', async () => {
+  const deep = { a: { b: { c: { d: [1, [2, [3]]] } } } };
+  const injector = new ElectronInjector();
+  injector.evaluateRemote = async () => ({
+    entry: { Runtime: fakeRuntime({}, { deep }) },
+    result: object('deep')
+  });
+
+  assert.deepStrictEqual(await injector.evaluate('deep'), deep);
+});
+
+test('evaluate previews values that are not plain data', async () => {
+  const injector = new ElectronInjector();
+  injector.evaluateRemote = async () => ({
+    entry: { Runtime: fakeRuntime({ cyclic: [['self', object('cyclic')]] }) },
+    result: object('cyclic')
+  });
+
+  assert.deepStrictEqual(await injector.evaluate('cyclic', { depth: 1 }),
+    { self: { self: { '@type': 'Object', '@truncated': true } } });
+});
+
+test('evaluate reports exceptions as { error, stack }', async () => {
+  const injector = new ElectronInjector();
+  injector.evaluateRemote = async () => ({
+    entry: { Runtime: fakeRuntime({}) },
+    result: { type: 'object', subtype: 'error' },
+    exceptionDetails: { text: 'Uncaught', exception: { description: 'Error: boom\n    at <anonymous>:1:7' } }
+  });
+
+  assert.deepStrictEqual(await injector.evaluate('throw new Error("boom")'),
+    { error: 'Uncaught', stack: 'Error: boom\n    at <anonymous>:1:7' });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isIncompleteInput } = require('../server');
+
+test('isIncompleteInput keeps reading unclosed brackets, blocks and templates', () => {
+  for (const code of ['foo(', '[1,', 'function f() {', 'class A {', 'if (x) {', 'x = { a: 1,', '1 +', '`abc', '`a ${', 'const s = `a\nb']) {
+    assert.strictEqual(isIncompleteInput(code), true, code);
+  }
+});
+
+test('isIncompleteInput keeps reading unclosed block comments', () => {
+  for (const code of ['/* abc', 'foo(/* x', 'x = 1 /* a\nb', 'await foo(/* x', 'await x /* y']) {
+    assert.strictEqual(isIncompleteInput(code), true, code);
+  }
+  for (const code of ['/* abc */', 'foo(/* x */)', '/* a\nb */ 1', 'await x /* y */']) {
+    assert.strictEqual(isIncompleteInput(code), false, code);
+  }
+});
+
+test('isIncompleteInput accepts complete input', () => {
+  for (const code of ['1 + 1', 'foo()', 'function f() {}', 'let x = 1 // comment', '[1,\n2]', '`a\nb`']) {
+    assert.strictEqual(isIncompleteInput(code), false, code);
+  }
+});
+
+test('isIncompleteInput is not confused by brackets in regex literals and strings', () => {
+  assert.strictEqual(isIncompleteInput('"a(b".split(/\\(/)'), false);
+  assert.strictEqual(isIncompleteInput('/[{(]/.test(s)'), false);
+  assert.strictEqual(isIncompleteInput('"{" + \'[\''), false);
+});
+
+test('isIncompleteInput supports top-level await', () => {
+  assert.strictEqual(isIncompleteInput('await fetch(url)'), false);
+  assert.strictEqual(isIncompleteInput('const r = await fetch(url, {'), true);
+  assert.strictEqual(isIncompleteInput('await foo('), true);
+  assert.strictEqual(isIncompleteInput('for await (const x of y) {'), true);
+  assert.strictEqual(isIncompleteInput('for await (const x of y) {}'), false);
+});
+
+test('isIncompleteInput leaves other syntax errors to the evaluation', () => {
+  for (const code of [')', '})', 'let x = ;', 'await x\n)', "'abc", "x = '/*"]) {
+    assert.strictEqual(isIncompleteInput(code), false, code);
+  }
+});
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { domInspectionTools } = require('../tools');
+
+test('the tools can be injected twice into the same page', () => {
+  const context = vm.createContext({ console: { log() {} } });
+  vm.runInContext(domInspectionTools, context);
+  assert.doesNotThrow(() => vm.runInContext(domInspectionTools, context));
+  assert.strictEqual(vm.runInContext('typeof generateSelectors', context), 'function');
+});
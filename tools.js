@@ -0,0 +1,1074 @@
+// The helper functions injected into every page, frame and worker of the
+// app: DOM inspection and selectors, waiting and observing, API call
+// monitoring and onUnload hooks.
+
+// Parse a chunk of a streaming response: newline separated JSON, SSE
+// "data: {json}" lines or a single JSON document. Used by the network
+// monitor and injected into the page as part of domInspectionTools.
+function parseStreamingJSON(text) {
+  // Handle multiple JSON objects separated by newlines (common in streaming APIs)
+  if (text.includes('\n')) {
+    return text.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return line;
+        }
+      });
+  }
+
+  // Try to parse a single JSON object
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    // For streaming that sends "data: {json}" format (SSE)
+    if (text.startsWith('data:')) {
+      try {
+        const jsonPart = text.substring(5).trim();
+        return JSON.parse(jsonPart);
+      } catch (e2) {
+        return text;
+      }
+    }
+    return text;
+  }
+}
+
+// The DOM inspection helper functions as a string
+const domInspectionTools = `
+// DOM Inspector Helper Functions
+function findElementsByTextInfo(searchText, options = {}) {
+  const elements = findElementsByText(searchText, options);
+  return elements.map(el => ({
+    tagName: el.tagName,
+    id: el.id || null,
+    classes: el.className || null,
+    textContent: el.textContent.substring(0, 100),
+    selector: safeSelector(el)
+  }));
+}
+
+// Class names generated by CSS modules and CSS-in-JS libraries, which
+// change whenever the app is rebuilt
+function isHashedClass(name) {
+  if (/^(css|sc|jsx|emotion|styled|svelte)-/i.test(name) || name.length > 30) {
+    return true;
+  }
+  // A hash as the whole name or its last part: a1b2c3, Button_primary__3xYz1
+  const hash = /(^_?|[_-])([a-z0-9]{5,})$/i.exec(name);
+  if (hash && /[0-9]/.test(hash[2]) && /[a-z]/i.test(hash[2])) {
+    return true;
+  }
+  // Random mixed-case names like kZxXeL
+  return /^[a-z]{5,8}$/i.test(name) && (name.slice(1).match(/[A-Z]/g) || []).length >= 2;
+}
+
+// Ids that are generated at runtime (React's :r1:, ember123, hashes)
+function isStableId(id) {
+  return id.length < 40 && !id.includes(':') && !/[0-9]{3,}/.test(id) && !isHashedClass(id);
+}
+
+// Quote a string for XPath, null if it contains both kinds of quotes
+function xpathLiteral(text) {
+  if (!text.includes('"')) {
+    return '"' + text + '"';
+  }
+  return text.includes("'") ? null : "'" + text + "'";
+}
+
+// Whether a selector is an XPath expression rather than CSS
+function isXPath(selector) {
+  return selector.startsWith('/') || selector.startsWith('./') || selector.startsWith('(');
+}
+
+// Elements matching a CSS or XPath selector within a document or shadow root
+function queryScope(scope, selector) {
+  if (!isXPath(selector)) {
+    return Array.from(scope.querySelectorAll(selector));
+  }
+  const doc = scope.nodeType === Node.DOCUMENT_NODE ? scope : scope.ownerDocument;
+  const snapshot = doc.evaluate(selector, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+  const nodes = [];
+  for (let i = 0; i < snapshot.snapshotLength; i++) {
+    nodes.push(snapshot.snapshotItem(i));
+  }
+  return nodes;
+}
+
+// Position-based XPath from the top of the element's document or shadow root
+function positionalXPath(element) {
+  const parts = [];
+  for (let current = element; current; current = current.parentElement) {
+    const tag = current.localName;
+    const siblings = current.parentElement
+      ? Array.from(current.parentElement.children).filter(child => child.localName === tag)
+      : [current];
+    parts.unshift(siblings.length > 1 ? tag + '[' + (siblings.indexOf(current) + 1) + ']' : tag);
+  }
+  return (selectorScope(element).nodeType === Node.DOCUMENT_NODE ? '/' : './') + parts.join('/');
+}
+
+// Short, visible text an element can be found by
+function elementText(element) {
+  const text = (element.textContent || '').replace(/\\s+/g, ' ').trim();
+  return text && text.length <= 40 ? text : null;
+}
+
+// Selector candidates from stable attributes, best first. Each has a
+// selector (CSS, or XPath for text), a score from 0 to 100, the strategy
+// and an equivalent XPath.
+function attributeCandidates(element) {
+  // Implicit ARIA roles of common elements. Kept in here, as a top-level
+  // const would fail the next injection of the tools into the same page.
+  const implicitRoles = {
+    button: 'button', a: 'link', select: 'combobox', textarea: 'textbox', summary: 'button',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+    option: 'option', li: 'listitem', nav: 'navigation', dialog: 'dialog'
+  };
+  const tag = element.localName;
+  const any = selectorScope(element).nodeType === Node.DOCUMENT_NODE ? '//' : './/';
+  const candidates = [];
+  const attribute = (name, score, strategy, withTag) => {
+    const value = element.getAttribute(name);
+    if (!value) {
+      return;
+    }
+    const literal = xpathLiteral(value);
+    candidates.push({
+      selector: (withTag ? tag : '') + '[' + name + '="' + CSS.escape(value) + '"]',
+      score,
+      strategy,
+      xpath: literal && any + (withTag ? tag : '*') + '[@' + name + '=' + literal + ']'
+    });
+  };
+
+  for (const name of ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa']) {
+    attribute(name, 100, 'test-id', false);
+  }
+  if (element.id && isStableId(element.id)) {
+    candidates.push({ selector: '#' + CSS.escape(element.id), score: 90, strategy: 'id', xpath: any + '*[@id=' + xpathLiteral(element.id) + ']' });
+  }
+  attribute('aria-label', 80, 'aria-label', true);
+  attribute('name', 75, 'name', true);
+
+  // Role plus accessible name, the name coming from the element's text
+  const role = element.getAttribute('role') || implicitRoles[tag];
+  const text = elementText(element);
+  const literal = text && xpathLiteral(text);
+  if (role && literal) {
+    const xpath = element.hasAttribute('role')
+      ? any + '*[@role=' + xpathLiteral(role) + '][normalize-space(.)=' + literal + ']'
+      : any + tag + '[normalize-space(.)=' + literal + ']';
+    candidates.push({ selector: xpath, score: 70, strategy: 'role', xpath });
+  } else if (literal && element.children.length === 0) {
+    const xpath = any + tag + '[normalize-space(.)=' + literal + ']';
+    candidates.push({ selector: xpath, score: 60, strategy: 'text', xpath });
+  }
+
+  for (const name of ['placeholder', 'title', 'alt', 'for', 'href']) {
+    attribute(name, 55, name, true);
+  }
+  return candidates;
+}
+
+// Selectors that match the element and nothing else within its document
+// or shadow root, best first
+function localSelectorCandidates(element, limit) {
+  const scope = selectorScope(element);
+  const unique = candidate => {
+    try {
+      const found = queryScope(scope, candidate.selector);
+      return found.length === 1 && found[0] === element;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  const candidates = attributeCandidates(element).filter(unique);
+
+  // Classes that look hand-written, fewest first
+  const classes = Array.from(element.classList).filter(name => !isHashedClass(name));
+  for (let count = 1; count <= Math.min(3, classes.length); count++) {
+    const candidate = {
+      selector: element.localName + '.' + classes.slice(0, count).map(name => CSS.escape(name)).join('.'),
+      score: 50 - count * 5,
+      strategy: 'class'
+    };
+    if (unique(candidate)) {
+      candidates.push(candidate);
+      break;
+    }
+  }
+
+  // Position below the closest ancestor that has a stable selector
+  const steps = [];
+  for (let current = element; current.parentElement && steps.length < 4; current = current.parentElement) {
+    const siblings = Array.from(current.parentElement.children).filter(child => child.localName === current.localName);
+    steps.unshift(current.localName + (siblings.length > 1 ? ':nth-of-type(' + (siblings.indexOf(current) + 1) + ')' : ''));
+    const anchor = attributeCandidates(current.parentElement)
+      .filter(candidate => candidate.score >= 75 && !isXPath(candidate.selector))
+      .find(candidate => queryScope(scope, candidate.selector).length === 1);
+    if (anchor) {
+      const candidate = { selector: anchor.selector + ' > ' + steps.join(' > '), score: 35 - steps.length * 5, strategy: 'anchored' };
+      if (unique(candidate)) {
+        candidates.push(candidate);
+      }
+      break;
+    }
+  }
+
+  // Full position path, which always works but breaks on the next re-render
+  const path = [];
+  for (let current = element; current && current !== scope.body; current = current.parentElement) {
+    const index = current.parentElement ? Array.from(current.parentElement.children).indexOf(current) + 1 : 1;
+    path.unshift(current.localName + ':nth-child(' + index + ')');
+  }
+  if (scope.body) {
+    path.unshift('body');
+  }
+  candidates.push({ selector: path.join(' > '), score: 10, strategy: 'position' });
+
+  return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// Ranked selector candidates for an element, best first, each with a
+// stability score from 0 to 100 and the strategy that produced it:
+// test-id, id, aria-label, name, role, text, other attributes, class,
+// anchored (position below a stable ancestor), position. Options:
+//   xpath: also return an XPath for each candidate (top document only)
+//   limit: maximum number of candidates (default 5)
+// Elements in shadow roots and iframes get deep selectors (host >>> inner)
+// scored by the weaker of the two parts.
+function generateSelectors(element, options = {}) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return [];
+  }
+  let candidates = localSelectorCandidates(element, options.limit || 5);
+
+  const host = selectorHost(element);
+  if (host) {
+    const [hostCandidate] = generateSelectors(host, { limit: 1 });
+    if (!hostCandidate) {
+      return [];
+    }
+    candidates = candidates.map(candidate => ({
+      selector: hostCandidate.selector + ' >>> ' + candidate.selector,
+      score: Math.min(hostCandidate.score, candidate.score),
+      strategy: candidate.strategy
+    }));
+  }
+
+  return candidates.map(candidate => {
+    const result = { selector: candidate.selector, score: candidate.score, strategy: candidate.strategy };
+    if (options.xpath && !host) {
+      result.xpath = candidate.xpath || positionalXPath(element);
+    }
+    return result;
+  });
+}
+
+// Best CSS selector for an element within its own document or shadow
+// root. Text and role candidates are XPath, so they are left to
+// generateSelectors and the result keeps working with querySelector.
+function generateSelector(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+  const best = localSelectorCandidates(element, Infinity).find(candidate => !isXPath(candidate.selector));
+  return best ? best.selector : null;
+}
+
+function testSelector(element, selector) {
+  try {
+    const found = selector.includes('>>>') ? querySelectorAllDeep(selector) : queryScope(selectorScope(element), selector);
+    return found.length === 1 && found[0] === element;
+  } catch (e) {
+    console.error('Invalid selector:', selector, e);
+    return false;
+  }
+}
+
+// Selector for an element, also inside open shadow roots and same-origin
+// iframes: the host's selector, then >>> and the selector within the host
+function safeSelector(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+    return null;
+  }
+  
+  const host = selectorHost(element);
+  if (host) {
+    const hostSelector = safeSelector(host);
+    const innerSelector = localSelector(element);
+    return hostSelector && innerSelector ? hostSelector + ' >>> ' + innerSelector : null;
+  }
+  return localSelector(element);
+}
+
+// Selector for an element within its own document or shadow root
+function localSelector(element) {
+  const scope = selectorScope(element);
+  
+  // Try the main approach first
+  try {
+    const selector = generateSelector(element);
+    if (selector && testSelector(element, selector)) {
+      return selector;
+    }
+  } catch (e) {
+    console.warn('Error generating primary selector', e);
+  }
+  
+  // Fallback: Use tag name with position
+  try {
+    if (element.parentElement) {
+      const tagName = element.tagName.toLowerCase();
+      const siblings = Array.from(element.parentElement.children);
+      const index = siblings.indexOf(element) + 1;
+      
+      const selector = \`\${tagName}:nth-child(\${index})\`;
+      if (testSelector(element, selector)) {
+        return selector;
+      }
+      
+      // Add parent tag if needed
+      if (element.parentElement !== scope.body) {
+        const parentTag = element.parentElement.tagName.toLowerCase();
+        const parentSelector = \`\${parentTag} > \${selector}\`;
+        if (testSelector(element, parentSelector)) {
+          return parentSelector;
+        }
+      }
+    }
+  } catch (e) {
+    console.warn('Error generating fallback selector', e);
+  }
+  
+  // Final fallback: Use JS path
+  try {
+    // Create a simple JS path for querySelector
+    const path = [];
+    let currentElement = element;
+    while (currentElement && currentElement !== scope.body && currentElement.parentElement && path.length < 3) {
+      const tag = currentElement.tagName.toLowerCase();
+      const index = Array.from(currentElement.parentElement.children)
+        .filter(c => c.tagName === currentElement.tagName)
+        .indexOf(currentElement) + 1;
+      
+      path.unshift(\`\${tag}:nth-of-type(\${index})\`);
+      currentElement = currentElement.parentElement;
+      
+      // Test if the path so far is unique
+      const testPath = path.join(' > ');
+      if (testSelector(element, testPath)) {
+        return testPath;
+      }
+    }
+  } catch (e) {
+    console.warn('Error generating JS path selector', e);
+  }
+  
+  // Could not generate a reliable selector
+  return null;
+}
+
+// Document or shadow root an element's selector is resolved in
+function selectorScope(element) {
+  const root = element.getRootNode();
+  return root.nodeType === Node.DOCUMENT_NODE || root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root : document;
+}
+
+// Shadow host or iframe element an element is nested in, null in the top document
+function selectorHost(element) {
+  const root = element.getRootNode();
+  if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) {
+    return root.host;
+  }
+  if (root.nodeType === Node.DOCUMENT_NODE && root !== document && root.defaultView) {
+    return root.defaultView.frameElement;
+  }
+  return null;
+}
+
+// Open shadow root or same-origin iframe document of an element, if any
+function innerRoot(element) {
+  if (element.shadowRoot) {
+    return element.shadowRoot;
+  }
+  try {
+    return element.contentDocument || null;
+  } catch (e) {
+    // Cross-origin frame
+    return null;
+  }
+}
+
+// The document plus every open shadow root and same-origin iframe document in it
+function collectRoots(root = document) {
+  const roots = [root];
+  for (let i = 0; i < roots.length; i++) {
+    for (const element of roots[i].querySelectorAll('*')) {
+      const inner = innerRoot(element);
+      if (inner) {
+        roots.push(inner);
+      }
+    }
+  }
+  return roots;
+}
+
+// All elements matching a deep selector. Each >>> steps into the shadow
+// roots or iframe documents of the elements matched so far, so
+// 'app-shell >>> chat-input >>> textarea' finds a textarea two shadow roots
+// down. Segments can also be XPath expressions.
+function querySelectorAllDeep(selector, root = document) {
+  const segments = selector.split('>>>').map(segment => segment.trim());
+  let scopes = [root];
+  let matches = [];
+  segments.forEach((segment, index) => {
+    matches = scopes.flatMap(scope => queryScope(scope, segment));
+    if (index < segments.length - 1) {
+      scopes = matches.map(innerRoot).filter(Boolean);
+    }
+  });
+  return [...new Set(matches)];
+}
+
+// First element matching a deep selector, or null
+function querySelectorDeep(selector, root = document) {
+  return querySelectorAllDeep(selector, root)[0] || null;
+}
+
+// Pass { deep: true } as options, or as the second argument, to also search
+// open shadow roots and same-origin iframes
+function findElementsByText(searchText, caseSensitive = false, rootElement = document.body, options = {}) {
+  if (caseSensitive && typeof caseSensitive === 'object') {
+    options = caseSensitive;
+    caseSensitive = !!options.caseSensitive;
+    rootElement = options.root || document.body;
+  }
+  const results = [];
+  const searchTextLower = caseSensitive ? searchText : searchText.toLowerCase();
+  
+  function searchNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const content = caseSensitive ? node.textContent : node.textContent.toLowerCase();
+      if (content.includes(searchTextLower)) {
+        if (node.parentElement && !results.includes(node.parentElement)) {
+          results.push(node.parentElement);
+        }
+      }
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      for (const attr of node.attributes) {
+        const attrValue = caseSensitive ? attr.value : attr.value.toLowerCase();
+        if (attrValue.includes(searchTextLower)) {
+          if (!results.includes(node)) {
+            results.push(node);
+            return;
+          }
+        }
+      }
+      
+      for (const child of node.childNodes) {
+        searchNode(child);
+      }
+      
+      const inner = options.deep && innerRoot(node);
+      if (inner) {
+        for (const child of inner.body ? [inner.body] : inner.childNodes) {
+          searchNode(child);
+        }
+      }
+    }
+  }
+  
+  searchNode(rootElement);
+  return results;
+}
+
+function highlightElements(elements, duration = 2000, color = 'rgba(255, 0, 0, 0.3)') {
+  const originalStyles = [];
+  
+  elements.forEach(el => {
+    originalStyles.push({
+      element: el,
+      outline: el.style.outline,
+      backgroundColor: el.style.backgroundColor,
+      transition: el.style.transition
+    });
+    
+    el.style.outline = \`2px solid \${color}\`;
+    el.style.backgroundColor = color;
+    el.style.transition = 'all 0.5s ease-in-out';
+  });
+  
+  setTimeout(() => {
+    originalStyles.forEach(item => {
+      item.element.style.outline = item.outline;
+      item.element.style.backgroundColor = item.backgroundColor;
+      item.element.style.transition = item.transition;
+    });
+  }, duration);
+}
+
+function findElementsByStyle(styleProperties, options = {}) {
+  const roots = options.deep ? collectRoots() : [document];
+  const allElements = roots.flatMap(root => Array.from(root.querySelectorAll('*')));
+  const results = [];
+  
+  allElements.forEach(el => {
+    const computedStyle = el.ownerDocument.defaultView.getComputedStyle(el);
+    let match = true;
+    
+    for (const [property, value] of Object.entries(styleProperties)) {
+      if (computedStyle[property] !== value) {
+        match = false;
+        break;
+      }
+    }
+    
+    if (match) {
+      results.push(el);
+    }
+  });
+  
+  return results;
+}
+
+function findClickableElements(options = {}) {
+  const roots = options.deep ? collectRoots() : [document];
+  const all = selector => roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+  const standardClickable = all('a, button, input[type="button"], input[type="submit"], [role="button"]');
+  const attrClickable = all('[onclick], [data-click], [data-action]');
+  const styleClickable = all('*').filter(el => {
+    const style = el.ownerDocument.defaultView.getComputedStyle(el);
+    return style.cursor === 'pointer';
+  });
+  
+  return [...new Set([...standardClickable, ...attrClickable, ...styleClickable])];
+}
+
+function inspectElements(elements) {
+  elements.forEach((el, index) => {
+    console.group(\`Element \${index + 1} (\${el.tagName})\`);
+    console.log('Element:', el);
+    console.log('Text content:', el.textContent.trim().substring(0, 100) + (el.textContent.length > 100 ? '...' : ''));
+    console.log('Unique selector:', safeSelector(el));
+    console.log('Attributes:', Array.from(el.attributes).map(attr => \`\${attr.name}="\${attr.value}"\`).join(', '));
+    console.groupEnd();
+  });
+}
+
+function hitEnter(el) {
+  el.dispatchEvent(new KeyboardEvent('keydown',{key: 'Enter',code: 'Enter',keyCode: 13,which: 13,bubbles: true,cancelable: true}));
+}
+
+${parseStreamingJSON.toString()}
+
+function monitorApiCall(urlPattern, method, waitForCall = true, callback = null, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    // Create a regex from the pattern
+    const urlRegex = new RegExp(urlPattern);
+    // Track if we found a matching request
+    let foundRequest = false;
+    // For tracking timeout
+    let timeoutId = null;
+    
+    // Collection of all messages in order
+    const messageLog = [];
+    
+    // Function to add messages to the log
+    function logMessage(message) {
+      // Add timestamp if not present
+      if (!message.timestamp) {
+        message.timestamp = Date.now();
+      }
+      
+      // Add to log
+      messageLog.push(message);
+      
+      // Forward to callback if provided
+      if (callback) {
+        callback(message);
+      }
+    }
+    
+    // Set timeout if specified
+    if (timeout > 0) {
+      timeoutId = setTimeout(() => {
+        cleanupMonitoring();
+        reject(new Error(\`Timeout after \${timeout}ms waiting for \${method} \${urlPattern}\`));
+      }, timeout);
+    }
+    
+    // Whether our interceptor is still matching requests
+    let monitoring = true;
+    
+    // Cleanup function to remove our interceptors. If something else has
+    // patched fetch on top of us in the meantime, leave its patch in place;
+    // our wrapper then just passes calls through.
+    function cleanupMonitoring() {
+      monitoring = false;
+      if (window.fetch === monitoredFetch) {
+        window.fetch = originalFetch;
+      }
+      clearTimeout(timeoutId);
+    }
+    
+    // Store original fetch
+    const originalFetch = window.fetch;
+    
+    // Custom implementation to intercept fetch
+    const monitoredFetch = async function(resource, options = {}) {
+      const url = resource instanceof Request ? resource.url : resource;
+      const fetchMethod = (options.method || (resource instanceof Request ? resource.method : 'GET')).toUpperCase();
+      
+      // Check if this request matches our criteria
+      const isMatch = monitoring && urlRegex.test(url) && fetchMethod === method.toUpperCase();
+      
+      // Track the original call timing
+      const startTime = Date.now();
+      
+      if (isMatch) {
+        foundRequest = true;
+        
+        // Log that we found a matching request
+        logMessage({
+          type: 'request-start',
+          url,
+          method: fetchMethod,
+          timestamp: startTime
+        });
+        
+        // Track request body if available
+        let requestBody = null;
+        if (options.body) {
+          try {
+            requestBody = typeof options.body === 'string' 
+              ? JSON.parse(options.body) 
+              : options.body;
+            
+            logMessage({
+              type: 'request-body',
+              body: requestBody,
+              timestamp: Date.now()
+            });
+          } catch (e) {
+            requestBody = options.body;
+            
+            logMessage({
+              type: 'request-body',
+              body: options.body,
+              timestamp: Date.now()
+            });
+          }
+        }
+      }
+      
+      try {
+        // Call the original fetch
+        const response = await originalFetch.apply(this, arguments);
+        
+        if (isMatch) {
+          // Create a clone to read the body (because response body can only be read once)
+          const clonedResponse = response.clone();
+          
+          // Handle streaming or regular response
+          try {
+            // For streaming responses like completions API
+            const reader = clonedResponse.body.getReader();
+            let chunks = [];
+            
+            // Read the stream
+            const processStream = async () => {
+              try {
+                while (true) {
+                  const { done, value } = await reader.read();
+                  
+                  if (done) {
+                    // Stream is complete
+                    break;
+                  }
+                  
+                  // Convert the chunk to text
+                  const chunk = new TextDecoder().decode(value);
+                  chunks.push(chunk);
+                  
+                  // Try to parse JSON chunks (for streaming APIs)
+                  try {
+                    const jsonData = parseStreamingJSON(chunk);
+                    logMessage({
+                      type: 'response-chunk',
+                      chunk: jsonData,
+                      timestamp: Date.now()
+                    });
+                  } catch (e) {
+                    // Not a valid JSON, just send the raw chunk
+                    logMessage({
+                      type: 'response-chunk',
+                      chunk: chunk,
+                      timestamp: Date.now()
+                    });
+                  }
+                }
+                
+                // Concatenate all chunks
+                const fullBody = chunks.join('');
+                
+                // Try to parse the complete response
+                try {
+                  const jsonResponse = JSON.parse(fullBody);
+                  const completeMsg = {
+                    type: 'response-complete',
+                    status: response.status,
+                    headers: Object.fromEntries([...response.headers.entries()]),
+                    body: jsonResponse,
+                    duration: Date.now() - startTime,
+                    timestamp: Date.now()
+                  };
+                  
+                  logMessage(completeMsg);
+                  
+                  // Resolve the promise with the final data and message log
+                  cleanupMonitoring();
+                  resolve({
+                    success: true,
+                    status: response.status,
+                    headers: Object.fromEntries([...response.headers.entries()]),
+                    body: jsonResponse,
+                    duration: Date.now() - startTime,
+                    messageLog: messageLog
+                  });
+                } catch (e) {
+                  // Not JSON, return as text
+                  const completeMsg = {
+                    type: 'response-complete',
+                    status: response.status,
+                    headers: Object.fromEntries([...response.headers.entries()]),
+                    body: fullBody,
+                    duration: Date.now() - startTime,
+                    timestamp: Date.now()
+                  };
+                  
+                  logMessage(completeMsg);
+                  
+                  cleanupMonitoring();
+                  resolve({
+                    success: true,
+                    status: response.status,
+                    headers: Object.fromEntries([...response.headers.entries()]),
+                    body: fullBody,
+                    duration: Date.now() - startTime,
+                    messageLog: messageLog
+                  });
+                }
+              } catch (streamError) {
+                logMessage({
+                  type: 'error',
+                  error: streamError.message,
+                  timestamp: Date.now()
+                });
+                
+                cleanupMonitoring();
+                reject({
+                  error: streamError.message,
+                  messageLog: messageLog
+                });
+              }
+            };
+            
+            // Start processing the stream
+            processStream();
+          } catch (streamSetupError) {
+            // Fallback to regular response handling if streaming fails
+            handleRegularResponse(clonedResponse, startTime);
+          }
+        }
+        
+        // Return the original response so the application works normally
+        return response;
+      } catch (error) {
+        if (isMatch) {
+          logMessage({
+            type: 'error',
+            error: error.message,
+            timestamp: Date.now()
+          });
+          
+          cleanupMonitoring();
+          reject({
+            error: error.message,
+            messageLog: messageLog
+          });
+        }
+        throw error; // Re-throw to not interfere with app error handling
+      }
+    };
+    window.fetch = monitoredFetch;
+    
+    // Helper function to handle regular (non-streaming) responses
+    async function handleRegularResponse(response, startTime) {
+      try {
+        let responseData;
+        const contentType = response.headers.get('content-type') || '';
+        
+        if (contentType.includes('application/json')) {
+          responseData = await response.json();
+        } else {
+          responseData = await response.text();
+        }
+        
+        const completeMsg = {
+          type: 'response-complete',
+          status: response.status,
+          headers: Object.fromEntries([...response.headers.entries()]),
+          body: responseData,
+          duration: Date.now() - startTime,
+          timestamp: Date.now()
+        };
+        
+        logMessage(completeMsg);
+        
+        cleanupMonitoring();
+        resolve({
+          success: true,
+          status: response.status,
+          headers: Object.fromEntries([...response.headers.entries()]),
+          body: responseData,
+          duration: Date.now() - startTime,
+          messageLog: messageLog
+        });
+      } catch (error) {
+        logMessage({
+          type: 'error',
+          error: error.message,
+          timestamp: Date.now()
+        });
+        
+        cleanupMonitoring();
+        reject({
+          error: error.message,
+          messageLog: messageLog
+        });
+      }
+    }
+    
+    // If we're not waiting for a call and none are in progress, resolve immediately
+    if (!waitForCall && !foundRequest) {
+      cleanupMonitoring();
+      resolve({
+        success: false,
+        reason: 'No matching API calls in progress and waitForCall is false',
+        messageLog: messageLog
+      });
+    }
+    
+    // Log that we've started monitoring
+    console.log(\`Monitoring for \${method} \${urlPattern} API calls...\`);
+  });
+}
+  function typeString(inputElement, text, hitEnter = false) {
+  // Clear existing input value if needed
+  inputElement.value = '';
+  
+  // Type each character with a small delay
+  const typeDelay = 50; // milliseconds between keystrokes
+  
+  const typeCharacter = (index) => {
+    if (index >= text.length) {
+      // Press Enter when finished typing
+      if (hitEnter) inputElement.dispatchEvent(new KeyboardEvent('keydown', {
+        key: 'Enter',
+        code: 'Enter',
+        keyCode: 13,
+        which: 13,
+        bubbles: true,
+        cancelable: true
+      }));
+      return;
+    }
+    
+    // Get current character
+    const char = text[index];
+    
+    // Dispatch keydown event
+    inputElement.dispatchEvent(new KeyboardEvent('keydown', {
+      key: char,
+      code: \`Key\${char.toUpperCase()}\`,
+      keyCode: char.charCodeAt(0),
+      which: char.charCodeAt(0),
+      bubbles: true,
+      cancelable: true
+    }));
+    
+    // Add character to input value
+    inputElement.value += char;
+    
+    // Dispatch input event
+    inputElement.dispatchEvent(new Event('input', {
+      bubbles: true,
+      cancelable: true
+    }));
+    
+    // Schedule next character
+    setTimeout(() => typeCharacter(index + 1), typeDelay);
+  };
+  
+  // Start typing
+  typeCharacter(0);
+}
+
+// Whether an element takes up space and isn't hidden
+function isVisible(element) {
+  const rect = element.getBoundingClientRect();
+  const style = element.ownerDocument.defaultView.getComputedStyle(element);
+  return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+}
+
+// Elements matching a selector (CSS, XPath or deep with >>>), or containing
+// the text when nothing matches it as a selector
+function findElements(selectorOrText, options = {}) {
+  let elements = [];
+  try {
+    elements = querySelectorAllDeep(selectorOrText);
+  } catch (e) {
+    // Not a valid selector, so it's text
+  }
+  if (elements.length === 0) {
+    elements = findElementsByText(selectorOrText, { deep: true });
+  }
+  return options.visible ? elements.filter(isVisible) : elements;
+}
+
+// Resolve once check() returns something truthy, re-checking on every DOM
+// change. Changes in shadow roots and iframes, which the observer doesn't
+// see, are caught by a slower poll.
+function waitUntil(check, timeout, message) {
+  return new Promise((resolve, reject) => {
+    let observer;
+    let poll;
+    let timer;
+    const finish = (error, value) => {
+      observer.disconnect();
+      clearInterval(poll);
+      clearTimeout(timer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+    const test = () => {
+      const value = check();
+      if (value) {
+        finish(null, value);
+      }
+    };
+
+    observer = new MutationObserver(test);
+    observer.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+    poll = setInterval(test, 250);
+    timer = setTimeout(() => finish(new Error(message)), timeout);
+    test();
+  });
+}
+
+// Wait until an element matching the selector or text exists, and is
+// visible with { visible: true }. Resolves to the element.
+function waitForElement(selectorOrText, options = {}) {
+  const { timeout = 10000, visible = false } = options;
+  return waitUntil(
+    () => findElements(selectorOrText, { visible })[0],
+    timeout,
+    'Timed out after ' + timeout + 'ms waiting for "' + selectorOrText + '"'
+  );
+}
+
+// Wait until no element matches the selector or text, or with
+// { visible: true } until none of them is visible
+function waitForGone(selectorOrText, options = {}) {
+  const { timeout = 10000, visible = false } = options;
+  return waitUntil(
+    () => findElements(selectorOrText, { visible }).length === 0,
+    timeout,
+    'Timed out after ' + timeout + 'ms waiting for "' + selectorOrText + '" to go away'
+  );
+}
+
+// Call back whenever elements matching the selector are added or removed,
+// or their text changes. Events are { type: 'added' | 'removed' |
+// 'text-changed', element, selector, text }, with a generated selector for
+// the element. Returns a function that stops observing.
+function observeElements(selector, callback) {
+  const known = new Map();
+  const describe = element => (element.textContent || '').trim().slice(0, 200);
+  const notify = (type, element, info) => {
+    try {
+      callback({ type, element, selector: info.selector, text: info.text });
+    } catch (error) {
+      console.error('observeElements callback failed:', error);
+    }
+  };
+  const update = () => {
+    const current = new Set(querySelectorAllDeep(selector));
+    for (const [element, info] of known) {
+      if (!current.has(element)) {
+        known.delete(element);
+        notify('removed', element, info);
+      } else if (describe(element) !== info.text) {
+        info.text = describe(element);
+        notify('text-changed', element, info);
+      }
+    }
+    for (const element of current) {
+      if (!known.has(element)) {
+        const info = { selector: safeSelector(element), text: describe(element) };
+        known.set(element, info);
+        notify('added', element, info);
+      }
+    }
+  };
+
+  // Elements already there are reported as added
+  update();
+  const observer = new MutationObserver(update);
+  observer.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+  const poll = setInterval(update, 1000);
+  return () => {
+    observer.disconnect();
+    clearInterval(poll);
+  };
+}
+
+// Teardown hooks of hot-reloaded scripts, by script file
+globalThis.__unloadHooks = globalThis.__unloadHooks || {};
+
+// Register a function that undoes what the running script set up (buttons,
+// observers, patched functions). It runs before the script is injected
+// again after a change with --watch or .watch. Call it while the script
+// runs, not from a later callback.
+function onUnload(callback) {
+  const key = globalThis.__loadingScript || 'default';
+  (globalThis.__unloadHooks[key] = globalThis.__unloadHooks[key] || []).push(callback);
+}
+
+// Run and forget the teardown hooks of a script, newest first
+async function runUnloadHooks(key) {
+  const hooks = globalThis.__unloadHooks[key] || [];
+  delete globalThis.__unloadHooks[key];
+  const errors = [];
+  for (const hook of hooks.reverse()) {
+    try {
+      await hook();
+    } catch (error) {
+      errors.push(String((error && error.stack) || error));
+    }
+  }
+  return { count: hooks.length, errors };
+}
+
+console.log('[DOM Inspector Tools] Initialized successfully with improved selector generation and API monitoring');
+`;
+
+module.exports = { domInspectionTools, parseStreamingJSON };